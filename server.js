@@ -1,14 +1,75 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const admin = require('firebase-admin');
+const multer = require('multer');
+const sharp = require('sharp');
+const { WebSocketServer, WebSocket } = require('ws');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Offer expiry: default lifetime of a pending offer and how the sweeper batches work
+const OFFER_TTL_MS = (Number(process.env.OFFER_TTL_HOURS) || 72) * 60 * 60 * 1000;
+const OFFER_EXPIRY_SWEEP_INTERVAL_MS = Number(process.env.OFFER_EXPIRY_SWEEP_INTERVAL_MS) || 60 * 1000;
+const OFFER_EXPIRY_BATCH_SIZE = Number(process.env.OFFER_EXPIRY_BATCH_SIZE) || 100;
+const OFFER_EXPIRY_MAX_BATCHES = 10;
+
+// Meetup reminders go out this long before a meetup starts
+const MEETUP_REMINDER_LEAD_MS = 60 * 60 * 1000;
+const MEETUP_REMINDER_SWEEP_INTERVAL_MS = Number(process.env.MEETUP_REMINDER_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+// After a chat push, further messages in the same chat within this window are collapsed into one summary
+const CHAT_PUSH_COLLAPSE_WINDOW_MS = Number(process.env.CHAT_PUSH_COLLAPSE_WINDOW_MS) || 60 * 1000;
+
+// Notification outbox: failed pushes are retried with exponential backoff, starting at
+// NOTIFICATION_RETRY_BASE_MS and capped at an hour, until NOTIFICATION_MAX_ATTEMPTS is reached
+const NOTIFICATION_OUTBOX_POLL_INTERVAL_MS = Number(process.env.NOTIFICATION_OUTBOX_POLL_INTERVAL_MS) || 5 * 1000;
+const NOTIFICATION_OUTBOX_BATCH_SIZE = 100;
+const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 8;
+const NOTIFICATION_RETRY_BASE_MS = Number(process.env.NOTIFICATION_RETRY_BASE_MS) || 30 * 1000;
+const NOTIFICATION_RETRY_MAX_MS = 60 * 60 * 1000;
+const NOTIFICATION_CLAIM_TIMEOUT_MS = 2 * 60 * 1000; // Entries claimed by a crashed worker are picked up again after this
+const NOTIFICATION_DELIVERY_LOG_LIMIT = 20; // Delivery attempts kept per entry
+const NOTIFICATION_OUTBOX_RETENTION_MS = (Number(process.env.NOTIFICATION_OUTBOX_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Inbox entries are kept this long, read or not
+const NOTIFICATION_INBOX_RETENTION_MS = (Number(process.env.NOTIFICATION_INBOX_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+// Devices that have not registered their token for this long are pruned along with the token
+const DEVICE_STALE_MS = (Number(process.env.DEVICE_STALE_DAYS) || 60) * 24 * 60 * 60 * 1000;
+const DEVICE_PRUNE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// How long a trader can still edit a rating they left
+const RATING_EDIT_WINDOW_MS = (Number(process.env.RATING_EDIT_WINDOW_HOURS) || 72) * 60 * 60 * 1000;
+
+// Saved searches: DAILY searches get at most one digest push per interval
+const SAVED_SEARCH_DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const SAVED_SEARCH_DIGEST_SWEEP_INTERVAL_MS = Number(process.env.SAVED_SEARCH_DIGEST_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+const SAVED_SEARCH_DIGEST_BATCH_SIZE = 200;
+// New listings are matched against saved searches by a background job, not while they are created
+const SAVED_SEARCH_MATCH_SWEEP_INTERVAL_MS = Number(process.env.SAVED_SEARCH_MATCH_SWEEP_INTERVAL_MS) || 30 * 1000;
+const SAVED_SEARCH_MATCH_BATCH_SIZE = 100; // Listings per sweep
+
+// Items listed individually in an admin cleanup response
+const CLEANUP_PREVIEW_LIMIT = 1000;
+
+// Image uploads: per-file size limit, stored sizes and where the local storage adapter writes files
+const IMAGE_UPLOAD_MAX_BYTES = (Number(process.env.IMAGE_UPLOAD_MAX_MB) || 8) * 1024 * 1024;
+const IMAGE_MAX_INPUT_PIXELS = 50 * 1000 * 1000; // Larger images are rejected before decoding
+const IMAGE_MAX_DIMENSION = 2048; // Longest side of the stored image
+const IMAGE_THUMBNAIL_DIMENSION = 320;
+const IMAGE_UPLOAD_DIR = process.env.IMAGE_UPLOAD_DIR || path.join(__dirname, 'uploads');
+const ITEM_MAX_IMAGES = 10;
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -24,11 +85,12 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '1mb' })); // Images are uploaded as multipart files
 app.use(express.urlencoded({ extended: true }));
 
 // Firebase Admin / FCM helpers
 let firebaseMessaging = null;
+let firebaseAuth = null;
 
 const getRawFirebaseCredential = () => process.env.FIREBASE_SERVICE_ACCOUNT_JSON || process.env.FIREBASE_SERVICE_ACCOUNT;
 
@@ -51,26 +113,36 @@ const parseFirebaseCredential = () => {
   }
 };
 
+const initializeFirebaseApp = () => {
+  if (admin.apps.length) {
+    return admin.app();
+  }
+
+  const credential = parseFirebaseCredential();
+  if (!credential) {
+    return null;
+  }
+
+  const firebaseApp = admin.initializeApp({
+    credential: admin.credential.cert(credential)
+  });
+  console.log('✅ Firebase Admin initialized');
+  return firebaseApp;
+};
+
 const initializeFirebaseMessaging = () => {
   if (firebaseMessaging) {
     return firebaseMessaging;
   }
 
   try {
-    if (!admin.apps.length) {
-      const credential = parseFirebaseCredential();
-      if (!credential) {
-        console.warn('⚠️  Firebase service account not configured. Push notifications are disabled.');
-        return null;
-      }
-
-      admin.initializeApp({
-        credential: admin.credential.cert(credential)
-      });
-      console.log('✅ Firebase Admin initialized for push notifications');
+    const firebaseApp = initializeFirebaseApp();
+    if (!firebaseApp) {
+      console.warn('⚠️  Firebase service account not configured. Push notifications are disabled.');
+      return null;
     }
 
-    firebaseMessaging = admin.messaging();
+    firebaseMessaging = admin.messaging(firebaseApp);
     return firebaseMessaging;
   } catch (error) {
     console.error('❌ Failed to initialize Firebase Admin SDK:', error);
@@ -80,6 +152,44 @@ const initializeFirebaseMessaging = () => {
 
 const getFirebaseMessaging = () => firebaseMessaging || initializeFirebaseMessaging();
 
+const initializeFirebaseAuth = () => {
+  if (firebaseAuth) {
+    return firebaseAuth;
+  }
+
+  try {
+    const firebaseApp = initializeFirebaseApp();
+    if (!firebaseApp) {
+      console.warn('⚠️  Firebase service account not configured. Authenticated routes are unavailable.');
+      return null;
+    }
+
+    firebaseAuth = admin.auth(firebaseApp);
+    return firebaseAuth;
+  } catch (error) {
+    console.error('❌ Failed to initialize Firebase Auth:', error);
+    return null;
+  }
+};
+
+const getFirebaseAuth = () => firebaseAuth || initializeFirebaseAuth();
+
+const verifyFirebaseIdToken = async (idToken) => {
+  const auth = getFirebaseAuth();
+  if (!auth) {
+    throw new Error('Firebase authentication is not configured');
+  }
+
+  return auth.verifyIdToken(idToken);
+};
+
+// Tests swap in a stub verifier with setIdTokenVerifier
+let idTokenVerifier = verifyFirebaseIdToken;
+const verifyIdToken = (idToken) => idTokenVerifier(idToken);
+const setIdTokenVerifier = (verifier) => {
+  idTokenVerifier = verifier || verifyFirebaseIdToken;
+};
+
 const buildDataPayload = (data = {}) => {
   return Object.entries(data).reduce((acc, [key, value]) => {
     acc[key] = value === undefined || value === null ? '' : String(value);
@@ -87,7 +197,7 @@ const buildDataPayload = (data = {}) => {
   }, {});
 };
 
-const sendPushNotification = async ({ tokens, notification, data = {}, android = {} }) => {
+const sendPushNotification = async ({ tokens, notification, data = {}, android = {}, apns = {} }) => {
   const messaging = getFirebaseMessaging();
   if (!messaging) {
     throw new Error('Firebase messaging is not configured');
@@ -95,7 +205,7 @@ const sendPushNotification = async ({ tokens, notification, data = {}, android =
 
   const uniqueTokens = [...new Set((tokens || []).filter(Boolean))];
   if (!uniqueTokens.length) {
-    return { successCount: 0, failureCount: 0, invalidTokens: [] };
+    return { successCount: 0, failureCount: 0, invalidTokens: [], results: [] };
   }
 
   const chunkSize = 500;
@@ -107,6 +217,7 @@ const sendPushNotification = async ({ tokens, notification, data = {}, android =
   let successCount = 0;
   let failureCount = 0;
   const invalidTokens = [];
+  const results = [];
 
   for (const batch of batches) {
     const response = await messaging.sendEachForMulticast({
@@ -128,7 +239,7 @@ const sendPushNotification = async ({ tokens, notification, data = {}, android =
         payload: {
           aps: {
             sound: 'default',
-            category: android.apnsCategory || 'SWOPTRADER_EVENT'
+            category: apns.category || 'SWOPTRADER_EVENT'
           }
         }
       }
@@ -138,6 +249,7 @@ const sendPushNotification = async ({ tokens, notification, data = {}, android =
     failureCount += response.failureCount;
 
     response.responses.forEach((result, index) => {
+      results.push({ token: batch[index], success: result.success, errorCode: result.error?.code });
       if (!result.success) {
         const errorCode = result.error?.code || '';
         if (
@@ -150,13 +262,13 @@ const sendPushNotification = async ({ tokens, notification, data = {}, android =
     });
   }
 
-  return { successCount, failureCount, invalidTokens };
+  return { successCount, failureCount, invalidTokens, results };
 };
 
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/swoptrader';
 
-mongoose.connect(MONGODB_URI, {
+const connectDatabase = () => mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
@@ -168,30 +280,100 @@ mongoose.connect(MONGODB_URI, {
 });
 
 // Database schemas
+// GeoJSON point ([longitude, latitude]) used for 2dsphere queries
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   profileImageUrl: String,
+  profileImageThumbnailUrl: String, // Set when profileImageUrl is an uploaded image
+  role: { type: String, enum: ['USER', 'ADMIN'], default: 'USER' }, // ADMIN grants access to /api/v1/admin
   tradeScore: { type: Number, default: 0 },
   level: { type: Number, default: 1 },
   carbonSaved: { type: Number, default: 0 },
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+  ratingTotal: { type: Number, default: 0 },
   lastActive: { type: Date, default: Date.now },
   location: {
     latitude: Number,
     longitude: Number,
     address: String
   },
-  fcmTokens: { type: [String], default: [] },
-  deviceTokens: {
-    type: Map,
-    of: String,
-    default: {}
+  geo: { type: pointSchema, default: undefined }, // Derived from location
+  // What the user is looking for; categories and keywords are stored lowercase
+  wishlist: {
+    categories: { type: [String], default: [] },
+    keywords: { type: [String], default: [] },
+    updatedAt: Date
+  },
+  blockedUserIds: { type: [String], default: [], select: false }, // Users this user has blocked
+  suspendedAt: { type: Date, default: null }, // Set by moderators; suspended users cannot use the API
+  suspensionReason: String,
+  fcmTokens: { type: [String], default: [] }, // Mirrors the tokens of the user's registered devices
+  calendarFeedTokenHash: { type: String, select: false }, // SHA-256 of the meetup calendar feed token
+  notificationPreferences: {
+    types: {
+      offers: { type: Boolean, default: true },
+      offerUpdates: { type: Boolean, default: true },
+      chatMessages: { type: Boolean, default: true },
+      meetups: { type: Boolean, default: true },
+      trades: { type: Boolean, default: true },
+      savedSearches: { type: Boolean, default: true }
+    },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' }, // HH:mm in timeZone
+      end: { type: String, default: '07:00' },
+      timeZone: { type: String, default: 'UTC' } // IANA zone, e.g. Africa/Johannesburg
+    },
+    mutedChatIds: { type: [String], default: [] }
   },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+const EARTH_RADIUS_KM = 6371;
+
+// Converts { latitude, longitude } into a GeoJSON point, or undefined when invalid
+const toGeoPoint = (location) => {
+  if (!location || location.latitude == null || location.longitude == null) {
+    return undefined;
+  }
+
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return undefined;
+  }
+
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Keep users' geo point in step with the location the app writes
+userSchema.pre('save', function syncUserGeo() {
+  if (this.isModified('location')) {
+    this.geo = toGeoPoint(this.location);
+  }
+});
+
+userSchema.pre('findOneAndUpdate', function syncUserGeoOnUpdate() {
+  const update = this.getUpdate() || {};
+  const location = update.location !== undefined ? update.location : update.$set?.location;
+  if (location === undefined) {
+    return;
+  }
+
+  // Clearing the location (null) clears geo too
+  const geo = location && toGeoPoint(location);
+  this.setUpdate(geo ? { ...update, geo } : { ...update, $unset: { ...update.$unset, geo: 1 } });
+});
+
 const itemSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   name: { type: String, required: true },
@@ -199,8 +381,26 @@ const itemSchema = new mongoose.Schema({
   category: { type: String, required: true },
   condition: { type: String, required: true },
   images: [String],
+  // Images uploaded through the API, with their thumbnails; their urls are also in images
+  uploadedImages: [{
+    _id: false,
+    imageId: String,
+    url: String,
+    thumbnailUrl: String,
+    width: Number,
+    height: Number
+  }],
   ownerId: { type: String, required: true },
+  location: { type: pointSchema, default: undefined }, // Defaults to the owner's location
   isAvailable: { type: Boolean, default: true },
+  deletedAt: Date, // Set when the owner deletes the listing
+  hiddenAt: { type: Date, default: null }, // Set when moderators take the listing down
+  hiddenReason: { type: String, enum: ['REPORTED', 'OWNER_SUSPENDED'] },
+  availableBeforeHidden: Boolean, // Restored when the listing is unhidden, so reserved or traded items stay off sale
+  savedSearchMatchPending: { type: Boolean, select: false }, // Set on new listings until the saved search job has checked them
+  archivedAt: { type: Date, default: null }, // Set by admin cleanup jobs instead of deleting the listing
+  archiveReason: String,
+  availableBeforeArchive: Boolean, // Restored when the item is unarchived
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -211,9 +411,13 @@ const offerSchema = new mongoose.Schema({
   toUserId: { type: String, required: true },
   requestedItemId: { type: String, required: true },
   offeredItemIds: [String],
-  status: { type: String, enum: ['PENDING', 'ACCEPTED', 'REJECTED', 'COUNTERED', 'EXPIRED', 'CANCELLED'], default: 'PENDING' },
+  status: { type: String, enum: ['PENDING', 'ACCEPTED', 'REJECTED', 'COUNTERED', 'EXPIRED', 'CANCELLED', 'COMPLETED'], default: 'PENDING' },
   message: String,
   cashAmount: Number,
+  parentOfferId: String, // Offer this one counters
+  rootOfferId: String, // First offer of the negotiation thread
+  expiresAt: { type: Date, default: () => new Date(Date.now() + OFFER_TTL_MS) },
+  tradeId: String, // TradeHistory entry written when the trade was completed
   meetup: {
     id: String,
     location: {
@@ -221,13 +425,29 @@ const offerSchema = new mongoose.Schema({
       address: String,
       latitude: Number,
       longitude: Number,
-      type: String
+      type: { type: String },
+      safeSpotId: String // Set when the meetup is at a curated safe spot
     },
     scheduledAt: Number,
     meetupType: String,
-    status: { type: String, enum: ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'], default: 'PENDING' },
+    // PROPOSED until the other trader accepts; PENDING is an accepted, upcoming meetup
+    status: { type: String, enum: ['PROPOSED', 'PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'] },
     notes: String,
-    completedAt: Number
+    proposedBy: String,
+    acceptedAt: Number,
+    checkIns: [{
+      _id: false,
+      userId: String,
+      checkedInAt: Number,
+      latitude: Number,
+      longitude: Number
+    }],
+    sequence: { type: Number, default: 0 }, // Bumped when the time or place changes or the meetup is cancelled
+    completedAt: Number,
+    cancelledAt: Number,
+    cancelledBy: String,
+    cancelReason: String,
+    reminderSentAt: Number
   },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -253,7 +473,8 @@ const chatMessageSchema = new mongoose.Schema({
   message: { type: String, required: true },
   type: { type: String, enum: ['TEXT', 'IMAGE', 'OFFER', 'MEETUP'], default: 'TEXT' },
   timestamp: { type: Date, default: Date.now },
-  isRead: { type: Boolean, default: false }
+  isRead: { type: Boolean, default: false },
+  readAt: Date
 });
 
 const tradeHistorySchema = new mongoose.Schema({
@@ -270,6 +491,21 @@ const tradeHistorySchema = new mongoose.Schema({
   meetupId: String,
   carbonSaved: { type: Number, default: 0 },
   tradeScoreEarned: { type: Number, default: 0 },
+  participantStats: [{
+    userId: String,
+    carbonSaved: Number,
+    tradeScoreEarned: Number
+  }],
+  // One rating per participant, left for the other trader
+  ratings: [{
+    raterId: { type: String, required: true },
+    rateeId: { type: String, required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, maxlength: 1000 },
+    ratedAt: { type: Date, default: Date.now },
+    updatedAt: Date
+  }],
+  // Legacy single rating written by older app versions
   rating: {
     rating: Number,
     comment: String,
@@ -278,6 +514,181 @@ const tradeHistorySchema = new mongoose.Schema({
   }
 });
 
+// One attempt at pushing an outbox entry, with the per-token outcome reported by FCM
+const notificationDeliverySchema = new mongoose.Schema({
+  attempt: Number,
+  attemptedAt: Date,
+  type: String, // Template sent; CHAT_SUMMARY for collapsed chat bursts
+  successCount: Number,
+  failureCount: Number,
+  results: [{
+    _id: false,
+    token: String,
+    success: Boolean,
+    errorCode: String
+  }],
+  prunedTokens: [String], // Tokens FCM reported as unregistered, removed from the user
+  error: String
+}, { _id: false });
+
+// Every notification intent, written alongside the change that triggered it and pushed by the outbox worker
+const notificationOutboxSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, default: () => crypto.randomUUID() },
+  userId: { type: String, required: true },
+  type: { type: String, required: true },
+  context: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSING', 'DELIVERED', 'SKIPPED', 'FAILED'],
+    default: 'PENDING'
+  },
+  availableAt: { type: Date, default: Date.now }, // Quiet hours, chat collapsing and retries move this forward
+  lockedUntil: Date, // Claim held by the worker delivering the entry
+  collapseKey: String, // "chat:<userId>:<chatId>" for chat messages
+  count: { type: Number, default: 1 }, // Events folded into this entry
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  skipReason: String, // unknown_user, muted, no_tokens, collapsed
+  deliveries: [notificationDeliverySchema],
+  deliveredAt: Date,
+  purgeAt: Date, // Delivered and skipped entries are removed after the retention period
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+// Curated public places (police stations, malls, libraries) suggested for meetups
+const safeMeetupSpotSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, default: () => crypto.randomUUID() },
+  name: { type: String, required: true },
+  address: String,
+  category: { type: String, enum: ['POLICE_STATION', 'MALL', 'LIBRARY', 'CAFE', 'TRANSIT_STATION', 'OTHER'], default: 'OTHER' },
+  description: String,
+  openingHours: String,
+  location: { type: pointSchema, required: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Notification center entry, stored alongside every push so missed pushes can still be seen
+const inboxNotificationSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, default: () => crypto.randomUUID() },
+  userId: { type: String, required: true },
+  type: { type: String, required: true }, // Notification template, e.g. OFFER_STATUS_CHANGED
+  title: String,
+  body: String,
+  data: { type: mongoose.Schema.Types.Mixed, default: {} }, // Same payload as the push
+  link: { // Deep-link target in the app
+    offerId: String,
+    chatId: String,
+    tradeId: String,
+    itemId: String,
+    savedSearchId: String
+  },
+  outboxEntryId: String, // Outbox entry the notification was rendered from
+  readAt: { type: Date, default: null },
+  purgeAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+// A registered app install and its current FCM token
+const deviceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  token: { type: String, required: true },
+  platform: { type: String, enum: ['ios', 'android', 'web'] },
+  appVersion: String,
+  lastSeenAt: { type: Date, default: Date.now }, // Refreshed whenever the app registers its token
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// An uploaded image; its files live in the image storage adapter under key and thumbnailKey
+const imageSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  ownerId: { type: String, required: true },
+  purpose: { type: String, enum: ['ITEM', 'PROFILE'], required: true },
+  itemId: String,
+  key: { type: String, required: true },
+  thumbnailKey: { type: String, required: true },
+  url: { type: String, required: true },
+  thumbnailUrl: { type: String, required: true },
+  contentType: String,
+  width: Number,
+  height: Number,
+  size: Number, // Bytes of the stored full-size image
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A saved items query; new listings matching it are pushed instantly or in a daily digest
+const savedSearchSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, default: () => crypto.randomUUID() },
+  userId: { type: String, required: true },
+  name: { type: String, required: true },
+  search: String, // Full-text query, as in GET /api/v1/items?search=
+  categories: { type: [String], default: [] }, // Empty matches every category
+  conditions: { type: [String], default: [] },
+  near: { type: pointSchema, default: undefined },
+  radiusKm: Number, // Set with near
+  alertMode: { type: String, enum: ['INSTANT', 'DAILY', 'OFF'], default: 'INSTANT' },
+  pendingItemIds: { type: [String], default: [] }, // DAILY matches waiting for the next digest
+  lastAlertedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Content reports waiting in the moderation queue
+const REPORT_TARGET_TYPES = ['ITEM', 'USER', 'CHAT_MESSAGE'];
+const REPORT_REASONS = ['SCAM', 'SPAM', 'HARASSMENT', 'INAPPROPRIATE', 'PROHIBITED_ITEM', 'FAKE_PROFILE', 'OTHER'];
+const REPORT_STATUSES = ['OPEN', 'RESOLVED', 'DISMISSED'];
+const MODERATION_ACTIONS = ['NONE', 'HIDE_ITEM', 'SUSPEND_USER'];
+
+const reportSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, default: () => crypto.randomUUID() },
+  reporterId: { type: String, required: true },
+  targetType: { type: String, enum: REPORT_TARGET_TYPES, required: true },
+  targetId: { type: String, required: true },
+  targetUserId: String, // Owner of the item, the user, or the message sender
+  snapshot: { type: mongoose.Schema.Types.Mixed, default: {} }, // The content as it was when reported
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: String,
+  status: { type: String, enum: REPORT_STATUSES, default: 'OPEN' },
+  resolution: {
+    action: { type: String, enum: MODERATION_ACTIONS },
+    note: String,
+    resolvedBy: String,
+    resolvedAt: Date
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+// Admin requests that changed something, kept for accountability
+const auditLogSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true, default: () => crypto.randomUUID() },
+  actorId: { type: String, required: true }, // The authenticated caller, whether or not they were an admin
+  action: { type: String, required: true }, // Method and route pattern, e.g. "POST /api/v1/admin/reports/:reportId/resolve"
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  query: { type: mongoose.Schema.Types.Mixed, default: {} },
+  body: { type: mongoose.Schema.Types.Mixed, default: {} },
+  statusCode: Number,
+  result: mongoose.Schema.Types.Mixed, // Summary the route recorded in res.locals.audit
+  ip: String,
+  durationMs: Number,
+  createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+// Leases let a single instance at a time run each background job
+const jobLeaseSchema = new mongoose.Schema({
+  _id: String, // Job name
+  owner: String,
+  leasedUntil: Date
+});
+
 // Create models
 const User = mongoose.model('User', userSchema);
 const Item = mongoose.model('Item', itemSchema);
@@ -285,10 +696,19 @@ const Offer = mongoose.model('Offer', offerSchema);
 const Chat = mongoose.model('Chat', chatSchema);
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 const TradeHistory = mongoose.model('TradeHistory', tradeHistorySchema);
+const NotificationOutbox = mongoose.model('NotificationOutbox', notificationOutboxSchema);
+const SafeMeetupSpot = mongoose.model('SafeMeetupSpot', safeMeetupSpotSchema);
+const InboxNotification = mongoose.model('InboxNotification', inboxNotificationSchema);
+const Device = mongoose.model('Device', deviceSchema);
+const Image = mongoose.model('Image', imageSchema);
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+const Report = mongoose.model('Report', reportSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const JobLease = mongoose.model('JobLease', jobLeaseSchema);
 
 const removeInvalidTokens = async (userId, invalidTokens = []) => {
   if (!invalidTokens.length) {
-    return;
+    return [];
   }
 
   try {
@@ -299,86 +719,596 @@ const removeInvalidTokens = async (userId, invalidTokens = []) => {
         $set: { updatedAt: new Date() }
       }
     );
+    await Device.deleteMany({ token: { $in: invalidTokens } });
+    return invalidTokens;
   } catch (error) {
     console.error(`❌ Failed to prune invalid tokens for user ${userId}:`, error);
+    return [];
+  }
+};
+
+// Sends a push to every registered device of a user and prunes rejected tokens
+const sendPushToUser = async (userId, message) => {
+  const user = await User.findOne({ id: userId }, { fcmTokens: 1 });
+  const tokens = user?.fcmTokens?.filter(Boolean) || [];
+  if (!tokens.length) {
+    return { skipped: true, reason: 'no_tokens' };
   }
+
+  const response = await sendPushNotification({ ...message, tokens });
+  const prunedTokens = response.invalidTokens?.length ? await removeInvalidTokens(userId, response.invalidTokens) : [];
+
+  return { ...response, prunedTokens };
 };
 
-const sendOfferNotification = async ({
-  offerId,
-  recipientUserId,
-  senderUserId,
-  senderName,
-  itemName,
-  message
-}) => {
-  const resolvedSenderName = senderName || 'A SwopTrader user';
-  const recipient = await User.findOne({ id: recipientUserId }, { fcmTokens: 1 });
-  const recipientTokens = recipient?.fcmTokens?.filter(Boolean) || [];
+// Stores the inbox entry for a push and announces it on the user's realtime channel.
+// An outbox entry processed again (a chat burst that grew) refreshes its existing entry.
+const saveInboxNotification = async ({ userId, type, title, body, data = {}, outboxEntryId }) => {
+  const now = new Date();
+  const link = Object.fromEntries(
+    ['offerId', 'chatId', 'tradeId', 'itemId', 'savedSearchId'].filter((key) => data[key]).map((key) => [key, String(data[key])])
+  );
+  const fields = { userId, type, title, body, data, link, updatedAt: now };
 
-  console.log(`📤 Sending offer notification to user ${recipientUserId}`);
-  console.log(`   Found ${recipientTokens.length} registered token(s)`);
-  if (recipientTokens.length > 0) {
-    console.log(`   Token preview: ${recipientTokens[0].substring(0, 20)}...`);
+  const existing = outboxEntryId && await InboxNotification.findOneAndUpdate({ outboxEntryId }, { $set: fields }, { new: true });
+  if (existing) {
+    return existing;
   }
 
-  if (!recipientTokens.length) {
-    console.log(`   ⚠️  No tokens found for user ${recipientUserId}`);
-    return { skipped: true, reason: 'no_tokens' };
+  const notification = await InboxNotification.create({
+    ...fields,
+    outboxEntryId,
+    createdAt: now,
+    purgeAt: new Date(now.getTime() + NOTIFICATION_INBOX_RETENTION_MS)
+  });
+  publishRealtimeEvent(userChannel(userId), { type: 'notification.created', data: notification });
+  return notification;
+};
+
+const queueOfferNotificationForOffer = async (offer, session) => {
+  if (!offer) {
+    return;
   }
 
-  const response = await sendPushNotification({
-    tokens: recipientTokens,
-    notification: {
-      title: `${resolvedSenderName} sent you an offer`,
-      body: (message && message.trim().substring(0, 140)) || `New pitch on ${itemName || 'your listing'}`
-    },
-    data: {
-      type: 'offer',
-      offerId,
-      senderUserId,
-      senderName: resolvedSenderName,
-      recipientUserId,
-      itemName: itemName || '',
-      message: message || ''
-    },
-    android: {
-      channelId: 'swoptrader_offers',
+  const [sender, requestedItem] = await Promise.all([
+    User.findOne({ id: offer.fromUserId }, { name: 1 }),
+    Item.findOne({ id: offer.requestedItemId }, { name: 1 })
+  ]);
+
+  return enqueueNotification('OFFER_RECEIVED', offer.toUserId, {
+    offerId: offer.id,
+    recipientUserId: offer.toUserId,
+    senderUserId: offer.fromUserId,
+    senderName: sender?.name || 'A SwopTrader user',
+    itemName: requestedItem?.name || '',
+    message: offer.message || ''
+  }, { session });
+};
+
+// Notification dispatcher
+// Every event type has its own Android channel and APNs category so users can
+// tune them separately in the system settings
+// preference names the notificationPreferences.types toggle that mutes the event
+const NOTIFICATION_TEMPLATES = {
+  OFFER_RECEIVED: {
+    preference: 'offers',
+    channelId: 'swoptrader_offers',
+    apnsCategory: 'SWOPTRADER_OFFER',
+    build: ({ offerId, senderUserId, senderName, recipientUserId, itemName, message }) => ({
+      title: `${senderName} sent you an offer`,
+      body: (message && message.trim().substring(0, 140)) || `New pitch on ${itemName || 'your listing'}`,
       tag: `offer_${offerId}`,
-      apnsCategory: 'SWOPTRADER_OFFER'
+      data: { type: 'offer', offerId, senderUserId, senderName, recipientUserId, itemName, message }
+    })
+  },
+  CHAT_MESSAGE: {
+    preference: 'chatMessages',
+    channelId: 'swoptrader_chat',
+    apnsCategory: 'SWOPTRADER_CHAT',
+    build: ({ chatId, senderName, message, messageType }) => ({
+      title: senderName,
+      body: messageType === 'IMAGE' ? 'Sent a photo' : String(message || '').substring(0, 140),
+      tag: `chat_${chatId}`,
+      data: { type: 'chat_message', chatId, senderName }
+    })
+  },
+  // Sent in place of several CHAT_MESSAGE pushes collapsed from one burst
+  CHAT_SUMMARY: {
+    preference: 'chatMessages',
+    channelId: 'swoptrader_chat',
+    apnsCategory: 'SWOPTRADER_CHAT',
+    build: ({ chatId, senderName, count }) => ({
+      title: senderName,
+      body: `${count} new messages`,
+      tag: `chat_${chatId}`,
+      data: { type: 'chat_message', chatId, senderName, count }
+    })
+  },
+  OFFER_STATUS_CHANGED: {
+    preference: 'offerUpdates',
+    channelId: 'swoptrader_offer_updates',
+    apnsCategory: 'SWOPTRADER_OFFER_UPDATE',
+    build: ({ offerId, status, actorName, itemName, isSender, counterOfferId, reason }) => {
+      const messages = {
+        ACCEPTED: ['Offer accepted', `${actorName} accepted your offer on ${itemName}`],
+        REJECTED: reason === 'ITEM_TRADED'
+          ? ['Offer declined', `${itemName} was traded to someone else`]
+          : ['Offer declined', `${actorName} declined your offer on ${itemName}`],
+        COUNTERED: ['New counter-offer', `${actorName} countered your offer on ${itemName}`],
+        CANCELLED: ['Offer cancelled', `${actorName} cancelled the offer on ${itemName}`],
+        EXPIRED: isSender
+          ? ['Offer expired', `Your offer on ${itemName} expired without a response`]
+          : ['Offer expired', `An offer on ${itemName} expired before you responded`]
+      };
+      const [title, body] = messages[status];
+      return {
+        title,
+        body,
+        tag: `offer_${offerId}`,
+        data: { type: 'offer_status', offerId, status, itemName, counterOfferId, reason }
+      };
+    }
+  },
+  MEETUP_SCHEDULED: {
+    preference: 'meetups',
+    channelId: 'swoptrader_meetups',
+    apnsCategory: 'SWOPTRADER_MEETUP',
+    build: ({ offerId, actorName, locationName, scheduledAt }) => ({
+      title: 'Meetup proposed',
+      body: `${actorName} proposed a meetup${locationName ? ` at ${locationName}` : ''}`,
+      tag: `meetup_${offerId}`,
+      data: { type: 'meetup_scheduled', offerId, scheduledAt, locationName }
+    })
+  },
+  MEETUP_UPDATED: {
+    preference: 'meetups',
+    channelId: 'swoptrader_meetups',
+    apnsCategory: 'SWOPTRADER_MEETUP',
+    build: ({ offerId, change, actorName, locationName, scheduledAt }) => {
+      const place = locationName ? ` at ${locationName}` : '';
+      const messages = {
+        ACCEPTED: ['Meetup confirmed', `${actorName} confirmed the meetup${place}`],
+        RESCHEDULED: ['Meetup rescheduled', `${actorName} proposed a new time or place${place}`],
+        CHECKED_IN: ['Trader arrived', `${actorName} checked in${place}`],
+        COMPLETED: ['Meetup completed', `${actorName} marked the meetup as done`],
+        CANCELLED: ['Meetup cancelled', `${actorName} cancelled the meetup${place}`]
+      };
+      const [title, body] = messages[change];
+      return {
+        title,
+        body,
+        tag: `meetup_${offerId}`,
+        data: { type: 'meetup_updated', offerId, change, scheduledAt, locationName }
+      };
     }
+  },
+  MEETUP_REMINDER: {
+    preference: 'meetups',
+    channelId: 'swoptrader_meetup_reminders',
+    apnsCategory: 'SWOPTRADER_MEETUP_REMINDER',
+    build: ({ offerId, otherName, locationName, scheduledAt }) => ({
+      title: 'Meetup in 1 hour',
+      body: `Your meetup with ${otherName}${locationName ? ` at ${locationName}` : ''} starts within the hour`,
+      tag: `meetup_${offerId}`,
+      data: { type: 'meetup_reminder', offerId, scheduledAt, locationName }
+    })
+  },
+  SAVED_SEARCH_MATCH: {
+    preference: 'savedSearches',
+    channelId: 'swoptrader_saved_searches',
+    apnsCategory: 'SWOPTRADER_SAVED_SEARCH',
+    build: ({ savedSearchId, searchName, itemId, itemName }) => ({
+      title: `New match for "${searchName}"`,
+      body: `${itemName} was just listed`,
+      tag: `saved_search_${savedSearchId}`,
+      data: { type: 'saved_search_match', savedSearchId, itemId, itemName }
+    })
+  },
+  SAVED_SEARCH_DIGEST: {
+    preference: 'savedSearches',
+    channelId: 'swoptrader_saved_searches',
+    apnsCategory: 'SWOPTRADER_SAVED_SEARCH',
+    build: ({ savedSearchId, searchName, count }) => ({
+      title: `New listings for "${searchName}"`,
+      body: `${count} new ${count === 1 ? 'item matches' : 'items match'} your saved search`,
+      tag: `saved_search_${savedSearchId}`,
+      data: { type: 'saved_search_digest', savedSearchId, count }
+    })
+  },
+  TRADE_COMPLETED: {
+    preference: 'trades',
+    channelId: 'swoptrader_trades',
+    apnsCategory: 'SWOPTRADER_TRADE',
+    build: ({ tradeId, offerId, otherName, carbonSaved, tradeScoreEarned }) => ({
+      title: 'Trade completed',
+      body: `Your swap with ${otherName} is complete: +${tradeScoreEarned} points, ${carbonSaved} kg CO₂ saved`,
+      tag: `trade_${tradeId}`,
+      data: { type: 'trade_completed', tradeId, offerId, carbonSaved, tradeScoreEarned }
+    })
+  }
+};
+
+// Renders the template for an event and pushes it to the user's devices.
+// extraData is merged into the push data (e.g. the inbox notificationId).
+const deliverNotification = async (type, userId, context, extraData = {}) => {
+  const template = NOTIFICATION_TEMPLATES[type];
+  const { title, body, tag, data } = template.build(context);
+  return sendPushToUser(userId, {
+    notification: { title, body },
+    data: { ...data, ...extraData },
+    android: { channelId: template.channelId, tag },
+    apns: { category: template.apnsCategory }
   });
+};
+
+const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const parseClockMinutes = (value) => {
+  const match = CLOCK_TIME_PATTERN.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
 
-  console.log(`   ✅ Notification sent: successCount=${response.successCount}, failureCount=${response.failureCount}`);
-  if (response.invalidTokens?.length) {
-    console.log(`   ⚠️  Found ${response.invalidTokens.length} invalid token(s), removing...`);
-    await removeInvalidTokens(recipientUserId, response.invalidTokens);
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
   }
+};
 
-  return response;
+// Minutes since local midnight in an IANA time zone
+const getLocalMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const valueOf = (type) => Number(parts.find((part) => part.type === type).value);
+  return valueOf('hour') * 60 + valueOf('minute');
 };
 
-const queueOfferNotificationForOffer = async (offer) => {
-  if (!offer) {
-    return;
+// When the user is inside their quiet hours, returns the moment they end; otherwise null.
+// Windows may wrap midnight (22:00-07:00).
+const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) {
+    return null;
+  }
+
+  const start = parseClockMinutes(quietHours.start);
+  const end = parseClockMinutes(quietHours.end);
+  const timeZone = isValidTimeZone(quietHours.timeZone) ? quietHours.timeZone : 'UTC';
+  if (start === null || end === null || start === end) {
+    return null;
+  }
+
+  const current = getLocalMinutes(now, timeZone);
+  const isQuiet = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!isQuiet) {
+    return null;
+  }
+
+  const minutesUntilEnd = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesUntilEnd * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+const isNotificationAllowed = (preferences, type, context) => {
+  const { preference } = NOTIFICATION_TEMPLATES[type];
+  if (preference && preferences?.types?.[preference] === false) {
+    return false;
+  }
+  if (context.chatId && preferences?.mutedChatIds?.includes(context.chatId)) {
+    return false;
+  }
+  return true;
+};
+
+// Notification outbox
+// Callers record intents with enqueueNotification, passing the session of the write that
+// triggered them so the intent commits or rolls back with it. The outbox worker applies the
+// recipient's preferences at delivery time, pushes, and retries failures with backoff.
+const enqueueNotification = async (type, userId, context, { session } = {}) => {
+  if (type === 'CHAT_MESSAGE') {
+    return enqueueChatNotification(userId, context, session);
+  }
+
+  const [entry] = await NotificationOutbox.create([{ type, userId, context }], { session });
+  return entry;
+};
+
+// Chat messages for the same recipient and chat share a collapse key. A message arriving while
+// an earlier one is still pending folds into it; one arriving within the collapse window after
+// a push waits for the window to close. A burst becomes one push plus one "N new messages" summary.
+const enqueueChatNotification = async (userId, context, session = null) => {
+  const collapseKey = `chat:${userId}:${context.chatId}`;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const folded = await NotificationOutbox.findOneAndUpdate(
+      { collapseKey, status: 'PENDING' },
+      { $inc: { count: 1 }, $set: { context, updatedAt: new Date() } },
+      { new: true, session }
+    );
+    if (folded) {
+      return folded;
+    }
+
+    const lastPush = await NotificationOutbox.findOne(
+      { collapseKey, deliveredAt: { $gt: new Date(Date.now() - CHAT_PUSH_COLLAPSE_WINDOW_MS) } },
+      { deliveredAt: 1 }
+    ).sort({ deliveredAt: -1 }).session(session);
+
+    try {
+      const [entry] = await NotificationOutbox.create([{
+        type: 'CHAT_MESSAGE',
+        userId,
+        context,
+        collapseKey,
+        availableAt: lastPush ? new Date(lastPush.deliveredAt.getTime() + CHAT_PUSH_COLLAPSE_WINDOW_MS) : new Date()
+      }], { session });
+      return entry;
+    } catch (error) {
+      // Another message opened the pending entry first; fold into it
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // The failed insert aborted the transaction, so the whole transaction is retried instead
+      if (session) {
+        error.addErrorLabel('TransientTransactionError');
+        throw error;
+      }
+    }
   }
 
+  throw new Error(`Could not queue chat notification for ${collapseKey}`);
+};
+
+const getNotificationRetryDelay = (attempt) => {
+  return Math.min(NOTIFICATION_RETRY_BASE_MS * 2 ** (attempt - 1), NOTIFICATION_RETRY_MAX_MS);
+};
+
+// Puts an entry back in the queue. A chat entry whose burst reopened in the meantime
+// folds its count into the new pending entry instead.
+const requeueNotification = async (entry, availableAt, fields = {}) => {
+  const now = new Date();
   try {
-    const [sender, requestedItem] = await Promise.all([
-      User.findOne({ id: offer.fromUserId }, { name: 1 }),
-      Item.findOne({ id: offer.requestedItemId }, { name: 1 })
-    ]);
+    return await NotificationOutbox.findOneAndUpdate(
+      { id: entry.id },
+      { $set: { ...fields, status: 'PENDING', availableAt, lockedUntil: null, updatedAt: now } },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
 
-    await sendOfferNotification({
-      offerId: offer.id,
-      recipientUserId: offer.toUserId,
-      senderUserId: offer.fromUserId,
-      senderName: sender?.name || 'A SwopTrader user',
-      itemName: requestedItem?.name || '',
-      message: offer.message || ''
-    });
+    await NotificationOutbox.updateOne(
+      { collapseKey: entry.collapseKey, status: 'PENDING' },
+      { $inc: { count: entry.count }, $set: { updatedAt: now } }
+    );
+    return finishNotification(entry, 'SKIPPED', { skipReason: 'collapsed' });
+  }
+};
+
+const finishNotification = (entry, status, fields = {}) => {
+  const now = new Date();
+  return NotificationOutbox.findOneAndUpdate(
+    { id: entry.id },
+    {
+      $set: {
+        ...fields,
+        status,
+        lockedUntil: null,
+        purgeAt: status === 'FAILED' ? null : new Date(now.getTime() + NOTIFICATION_OUTBOX_RETENTION_MS),
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+const recordDeliveryAttempt = (entry, delivery) => {
+  return NotificationOutbox.updateOne(
+    { id: entry.id },
+    {
+      $inc: { attempts: 1 },
+      $push: { deliveries: { $each: [delivery], $slice: -NOTIFICATION_DELIVERY_LOG_LIMIT } },
+      $set: { lastError: delivery.error || null }
+    }
+  );
+};
+
+// Delivers one claimed entry, re-checking the recipient's preferences first
+const processOutboxEntry = async (entry) => {
+  const user = await User.findOne({ id: entry.userId }, { notificationPreferences: 1 });
+  if (!user) {
+    return finishNotification(entry, 'SKIPPED', { skipReason: 'unknown_user' });
+  }
+
+  const preferences = user.notificationPreferences;
+  if (!isNotificationAllowed(preferences, entry.type, entry.context)) {
+    return finishNotification(entry, 'SKIPPED', { skipReason: 'muted' });
+  }
+
+  const isSummary = entry.type === 'CHAT_MESSAGE' && entry.count > 1;
+  const type = isSummary ? 'CHAT_SUMMARY' : entry.type;
+  const context = isSummary ? { ...entry.context, count: entry.count } : entry.context;
+
+  // The inbox entry appears straight away, even when quiet hours hold the push back
+  let inboxNotification = null;
+  try {
+    const { title, body, data } = NOTIFICATION_TEMPLATES[type].build(context);
+    inboxNotification = await saveInboxNotification({ userId: entry.userId, type, title, body, data, outboxEntryId: entry.id });
+  } catch (error) {
+    console.error(`❌ Failed to store inbox notification for outbox entry ${entry.id}:`, error);
+  }
+
+  const quietUntil = getQuietHoursEnd(preferences?.quietHours);
+  if (quietUntil) {
+    return requeueNotification(entry, quietUntil);
+  }
+
+  const attempt = entry.attempts + 1;
+  const delivery = { attempt, attemptedAt: new Date(), type };
+
+  let response;
+  try {
+    const extraData = inboxNotification ? { notificationId: inboxNotification.id } : {};
+    response = await deliverNotification(type, entry.userId, context, extraData);
   } catch (error) {
-    console.error(`❌ Offer notification dispatch failed for ${offer.id}:`, error);
+    response = { error };
+  }
+
+  if (response.skipped) {
+    return finishNotification(entry, 'SKIPPED', { skipReason: response.reason });
+  }
+
+  const { successCount = 0, failureCount = 0, results = [], prunedTokens = [] } = response;
+  Object.assign(delivery, { successCount, failureCount, results, prunedTokens });
+  if (response.error) {
+    delivery.error = response.error.message;
+  } else if (!successCount && failureCount > prunedTokens.length) {
+    delivery.error = 'Every device rejected the push';
+  }
+  await recordDeliveryAttempt(entry, delivery);
+
+  if (!delivery.error) {
+    return successCount
+      ? finishNotification(entry, 'DELIVERED', { deliveredAt: new Date() })
+      : finishNotification(entry, 'SKIPPED', { skipReason: 'no_tokens' });
+  }
+  if (attempt >= NOTIFICATION_MAX_ATTEMPTS) {
+    console.error(`❌ ${entry.type} notification ${entry.id} failed after ${attempt} attempts: ${delivery.error}`);
+    return finishNotification(entry, 'FAILED');
+  }
+  return requeueNotification(entry, new Date(Date.now() + getNotificationRetryDelay(attempt)));
+};
+
+// Claims the next due entry, or one whose worker stopped before finishing it
+const claimNextNotification = () => {
+  const now = new Date();
+  return NotificationOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'PENDING', availableAt: { $lte: now } },
+        { status: 'PROCESSING', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'PROCESSING',
+        lockedUntil: new Date(now.getTime() + NOTIFICATION_CLAIM_TIMEOUT_MS),
+        updatedAt: now
+      }
+    },
+    { sort: { availableAt: 1 }, new: true }
+  );
+};
+
+const processNotificationOutbox = async (keepLease = withoutLease) => {
+  for (let processed = 0; processed < NOTIFICATION_OUTBOX_BATCH_SIZE && await keepLease(); processed++) {
+    const entry = await claimNextNotification();
+    if (!entry) {
+      return;
+    }
+
+    try {
+      await processOutboxEntry(entry.toObject());
+    } catch (error) {
+      // The claim times out and the entry is picked up again
+      console.error(`❌ Outbox entry ${entry.id} (${entry.type}) could not be processed:`, error);
+    }
+  }
+};
+
+const getUserNames = async (userIds) => {
+  const users = await User.find({ id: { $in: userIds } }, { id: 1, name: 1 });
+  const names = new Map(users.map((user) => [user.id, user.name]));
+  return (userId) => names.get(userId) || 'A SwopTrader user';
+};
+
+const getOfferItemName = async (offer) => {
+  const item = await Item.findOne({ id: offer.requestedItemId }, { name: 1 });
+  return item?.name || 'your listing';
+};
+
+// Tells the affected trader(s) that an offer moved to a new status. Expiry
+// notifies both traders; other changes notify whoever did not make them.
+const notifyOfferStatusChange = async ({ offer, status, actorId, counterOfferId, reason }, session) => {
+  const [nameOf, itemName] = await Promise.all([
+    getUserNames([offer.fromUserId, offer.toUserId]),
+    getOfferItemName(offer)
+  ]);
+  let recipientIds = [offer.fromUserId, offer.toUserId].filter((userId) => userId !== actorId);
+  if (status === 'EXPIRED') {
+    recipientIds = [offer.fromUserId, offer.toUserId];
+  } else if (!actorId) {
+    // Changes made by the system (competing offer accepted) concern the sender
+    recipientIds = [offer.fromUserId];
+  }
+
+  for (const userId of recipientIds) {
+    await enqueueNotification('OFFER_STATUS_CHANGED', userId, {
+      offerId: offer.id,
+      status,
+      actorName: nameOf(actorId),
+      itemName,
+      isSender: userId === offer.fromUserId,
+      counterOfferId,
+      reason
+    }, { session });
+  }
+};
+
+const notifyMeetupScheduled = async (offer, actorId, session) => {
+  const nameOf = await getUserNames([actorId]);
+  const recipientId = offer.fromUserId === actorId ? offer.toUserId : offer.fromUserId;
+  await enqueueNotification('MEETUP_SCHEDULED', recipientId, {
+    offerId: offer.id,
+    actorName: nameOf(actorId),
+    locationName: offer.meetup?.location?.name,
+    scheduledAt: offer.meetup?.scheduledAt
+  }, { session });
+};
+
+const notifyMeetupUpdated = async (offer, actorId, change, session) => {
+  const nameOf = await getUserNames([actorId]);
+  const recipientId = offer.fromUserId === actorId ? offer.toUserId : offer.fromUserId;
+  await enqueueNotification('MEETUP_UPDATED', recipientId, {
+    offerId: offer.id,
+    change,
+    actorName: nameOf(actorId),
+    locationName: offer.meetup?.location?.name,
+    scheduledAt: offer.meetup?.scheduledAt
+  }, { session });
+};
+
+const notifyTradeCompleted = async (trade, session) => {
+  const nameOf = await getUserNames(trade.participantIds);
+  for (const userId of trade.participantIds) {
+    const stats = trade.participantStats.find((entry) => entry.userId === userId);
+    await enqueueNotification('TRADE_COMPLETED', userId, {
+      tradeId: trade.id,
+      offerId: trade.offerId,
+      otherName: nameOf(trade.participantIds.find((participantId) => participantId !== userId)),
+      carbonSaved: stats?.carbonSaved ?? trade.carbonSaved,
+      tradeScoreEarned: stats?.tradeScoreEarned ?? trade.tradeScoreEarned
+    }, { session });
+  }
+};
+
+const notifyChatMessage = async (chat, message, session) => {
+  const nameOf = await getUserNames([message.senderId]);
+  const recipientIds = chat.participantIds.filter((userId) => userId !== message.senderId);
+  for (const userId of recipientIds) {
+    await enqueueNotification('CHAT_MESSAGE', userId, {
+      chatId: chat.id,
+      senderName: nameOf(message.senderId),
+      message: message.message,
+      messageType: message.type
+    }, { session });
   }
 };
 
@@ -392,6 +1322,9 @@ const createIndexes = async () => {
     await User.collection.createIndex({ "level": -1 }); // For level-based queries
     await User.collection.createIndex({ "carbonSaved": -1 }); // For environmental leaderboards
     await User.collection.createIndex({ "createdAt": -1 }); // For recent users
+    await User.collection.createIndex({ "geo": "2dsphere" }); // For location-scoped leaderboards
+    await User.collection.createIndex({ "wishlist.categories": 1 }); // For swap matchmaking
+    await User.collection.createIndex({ "blockedUserIds": 1 }); // For finding who blocked a user
     
     // Item indexes
     await Item.collection.createIndex({ "id": 1 }, { unique: true });
@@ -401,6 +1334,11 @@ const createIndexes = async () => {
     await Item.collection.createIndex({ "createdAt": -1 }); // For recent items
     await Item.collection.createIndex({ "name": "text", "description": "text" }); // For text search
     await Item.collection.createIndex({ "ownerId": 1, "isAvailable": 1 }); // Compound index
+    await Item.collection.createIndex({ "location": "2dsphere" }); // For items near a location
+    await Item.collection.createIndex(
+      { "createdAt": 1 },
+      { name: "savedSearchMatchPending_createdAt", partialFilterExpression: { savedSearchMatchPending: true } }
+    ); // For the saved search matching job
     
     // Offer indexes
     await Offer.collection.createIndex({ "id": 1 }, { unique: true });
@@ -408,9 +1346,13 @@ const createIndexes = async () => {
     await Offer.collection.createIndex({ "toUserId": 1 }); // For user's received offers
     await Offer.collection.createIndex({ "status": 1 }); // For status filtering
     await Offer.collection.createIndex({ "requestedItemId": 1 }); // For item-based queries
+    await Offer.collection.createIndex({ "offeredItemIds": 1 }); // For finding offers an item is part of
     await Offer.collection.createIndex({ "createdAt": -1 }); // For recent offers
     await Offer.collection.createIndex({ "fromUserId": 1, "status": 1 }); // Compound index
     await Offer.collection.createIndex({ "toUserId": 1, "status": 1 }); // Compound index
+    await Offer.collection.createIndex({ "rootOfferId": 1, "createdAt": 1 }); // For negotiation threads
+    await Offer.collection.createIndex({ "status": 1, "expiresAt": 1 }); // For the expiry sweeper
+    await Offer.collection.createIndex({ "status": 1, "meetup.scheduledAt": 1 }); // For meetup reminders
     
     // Chat indexes
     await Chat.collection.createIndex({ "id": 1 }, { unique: true });
@@ -424,13 +1366,74 @@ const createIndexes = async () => {
     await ChatMessage.collection.createIndex({ "senderId": 1 }); // For user's messages
     await ChatMessage.collection.createIndex({ "timestamp": -1 }); // For message ordering
     await ChatMessage.collection.createIndex({ "chatId": 1, "timestamp": -1 }); // Compound index
+    await ChatMessage.collection.createIndex({ "chatId": 1, "isRead": 1, "senderId": 1 }); // For unread counts
     
     // TradeHistory indexes
     await TradeHistory.collection.createIndex({ "id": 1 }, { unique: true });
     await TradeHistory.collection.createIndex({ "participantIds": 1 }); // For user's trades
     await TradeHistory.collection.createIndex({ "completedAt": -1 }); // For recent trades
     await TradeHistory.collection.createIndex({ "offerId": 1 }); // For offer-based queries
+    await TradeHistory.collection.createIndex({ "itemsTraded.itemId": 1 }); // For checking whether an item was traded
     await TradeHistory.collection.createIndex({ "carbonSaved": -1 }); // For environmental stats
+    await TradeHistory.collection.createIndex({ "ratings.rateeId": 1, "ratings.ratedAt": -1 }); // For user reviews
+
+    // SafeMeetupSpot indexes
+    await SafeMeetupSpot.collection.createIndex({ "id": 1 }, { unique: true });
+    await SafeMeetupSpot.collection.createIndex({ "location": "2dsphere" }); // For nearby and midpoint suggestions
+
+    // InboxNotification indexes
+    await InboxNotification.collection.createIndex({ "id": 1 }, { unique: true });
+    await InboxNotification.collection.createIndex({ "userId": 1, "createdAt": -1, "id": -1 }); // For the inbox
+    await InboxNotification.collection.createIndex({ "userId": 1, "readAt": 1 }); // For unread counts
+    await InboxNotification.collection.createIndex({ "outboxEntryId": 1 }, { sparse: true }); // For refreshing entries
+    await InboxNotification.collection.createIndex({ "purgeAt": 1 }, { expireAfterSeconds: 0 }); // Retention
+
+    // Device indexes
+    await Device.collection.createIndex({ "deviceId": 1 }, { unique: true });
+    await Device.collection.createIndex({ "token": 1 }); // For token rotation and pruning
+    await Device.collection.createIndex({ "userId": 1 }); // For user's devices
+    await Device.collection.createIndex({ "lastSeenAt": 1 }); // For stale device pruning
+
+    // Image indexes
+    await Image.collection.createIndex({ "id": 1 }, { unique: true });
+    await Image.collection.createIndex({ "itemId": 1 }, { sparse: true }); // For item image cleanup
+    await Image.collection.createIndex({ "ownerId": 1, "purpose": 1 }); // For profile image cleanup
+
+    // AuditLog indexes
+    await AuditLog.collection.createIndex({ "id": 1 }, { unique: true });
+    await AuditLog.collection.createIndex({ "createdAt": -1, "id": -1 }); // For the audit log listing
+    await AuditLog.collection.createIndex({ "actorId": 1, "createdAt": -1 }); // For one admin's actions
+    await AuditLog.collection.createIndex({ "action": 1, "createdAt": -1 }); // For one kind of action
+
+    // Report indexes
+    await Report.collection.createIndex({ "id": 1 }, { unique: true });
+    await Report.collection.createIndex({ "status": 1, "createdAt": 1, "id": 1 }); // For the moderation queue
+    await Report.collection.createIndex({ "targetType": 1, "targetId": 1, "status": 1 }); // For settling reports together
+    await Report.collection.createIndex({ "targetUserId": 1, "createdAt": -1 }); // For a user's report history
+    await Report.collection.createIndex(
+      { "reporterId": 1, "targetType": 1, "targetId": 1 },
+      { unique: true, partialFilterExpression: { status: 'OPEN' } }
+    ); // One open report per reporter and target
+
+    // SavedSearch indexes
+    await SavedSearch.collection.createIndex({ "id": 1 }, { unique: true });
+    await SavedSearch.collection.createIndex({ "userId": 1, "createdAt": -1 }); // For user's saved searches
+    await SavedSearch.collection.createIndex({ "categories": 1 }); // For matching new listings
+    await SavedSearch.collection.createIndex({ "near": "2dsphere" }); // For matching new listings by distance
+    await SavedSearch.collection.createIndex({ "alertMode": 1, "lastAlertedAt": 1 }); // For the digest sweeper
+
+    // NotificationOutbox indexes
+    await NotificationOutbox.collection.createIndex({ "id": 1 }, { unique: true });
+    await NotificationOutbox.collection.createIndex({ "status": 1, "availableAt": 1 }); // For the outbox worker
+    await NotificationOutbox.collection.createIndex({ "status": 1, "lockedUntil": 1 }); // For reclaiming stalled entries
+    await NotificationOutbox.collection.createIndex({ "createdAt": -1, "id": -1 }); // For the admin listing
+    await NotificationOutbox.collection.createIndex(
+      { "collapseKey": 1 },
+      { unique: true, partialFilterExpression: { status: 'PENDING', collapseKey: { $type: 'string' } } }
+    ); // One pending entry per chat burst
+    await NotificationOutbox.collection.createIndex({ "collapseKey": 1, "deliveredAt": -1 }); // For chat collapse windows
+    await NotificationOutbox.collection.createIndex({ "type": 1, "context.offerId": 1 }); // For offer notification requests
+    await NotificationOutbox.collection.createIndex({ "purgeAt": 1 }, { expireAfterSeconds: 0 }); // Retention
     
     console.log('✅ Database indexes created successfully');
   } catch (error) {
@@ -441,466 +1444,4827 @@ const createIndexes = async () => {
 // Create indexes when database connection is established
 mongoose.connection.once('open', createIndexes);
 
-// API Routes
+// Authentication helpers
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Verifies the Firebase ID token and exposes the caller's uid as req.userId
+const authenticate = async (req, res, next) => {
+  const idToken = getBearerToken(req);
+  if (!idToken) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authorization bearer token is required'
+    });
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await verifyIdToken(idToken);
+  } catch (error) {
+    if (error.message === 'Firebase authentication is not configured') {
+      return res.status(503).json({
+        success: false,
+        error: 'Authentication not configured on the server'
+      });
+    }
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+
+  try {
+    if (await isUserSuspended(decodedToken.uid)) {
+      return forbidden(res, 'This account has been suspended');
+    }
+  } catch (error) {
+    return handleRouteError(res, error);
+  }
+
+  req.auth = decodedToken;
+  req.userId = decodedToken.uid;
+  next();
+};
+
+const forbidden = (res, error = 'You do not have access to this resource') => {
+  return res.status(403).json({ success: false, error });
+};
+
+// Admins carry the `admin: true` custom claim on their Firebase token or the ADMIN role on their user
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (req.auth?.admin !== true && !await User.exists({ id: req.userId, role: 'ADMIN' })) {
+      return forbidden(res, 'Admin access required');
+    }
+    next();
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+};
+
+// Records every admin request that can change data, including refused ones, once the response is sent
+const auditAdminActions = (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return next();
+  }
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    AuditLog.create({
+      actorId: req.userId,
+      action: `${req.method} ${req.route?.path || req.originalUrl.split('?')[0]}`,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      params: req.params,
+      query: req.query,
+      body: req.body && typeof req.body === 'object' ? req.body : {},
+      statusCode: res.statusCode,
+      result: res.locals.audit,
+      ip: req.ip,
+      durationMs: Date.now() - startedAt
+    }).catch((error) => console.error('❌ Failed to write audit log entry:', error));
+  });
+  next();
+};
+
+const isOfferParticipant = (offer, userId) => offer.fromUserId === userId || offer.toUserId === userId;
+
+// Listings that show up in search, swap matches and saved search alerts. Hidden and archived
+// items are excluded explicitly, so moderation does not depend on every writer keeping
+// isAvailable right.
+const LISTED_ITEM_FILTER = { isAvailable: true, hiddenAt: null, archivedAt: null };
+
+// Items in an accepted offer or a completed trade cannot be relisted
+const isItemCommitted = async (itemId) => {
+  const [acceptedOffer, trade] = await Promise.all([
+    Offer.exists({ status: 'ACCEPTED', $or: [{ requestedItemId: itemId }, { offeredItemIds: itemId }] }),
+    TradeHistory.exists({ 'itemsTraded.itemId': itemId })
+  ]);
+  return Boolean(acceptedOffer || trade);
+};
+
+// Blocking
+// A block works both ways: neither user sees the other's listings, and they cannot make
+// or accept offers with each other or exchange chat messages.
+const getBlockedUserIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findOne({ id: userId }, { blockedUserIds: 1 }),
+    User.distinct('id', { blockedUserIds: userId })
+  ]);
+  return [...new Set([...(user?.blockedUserIds || []), ...blockedBy])];
+};
+
+// Whether userId and any of otherUserIds has blocked the other
+const isBlockedBetween = async (userId, otherUserIds, session = null) => {
+  const others = [].concat(otherUserIds);
+  const block = await User.exists({
+    $or: [
+      { id: userId, blockedUserIds: { $in: others } },
+      { id: { $in: others }, blockedUserIds: userId }
+    ]
+  }).session(session);
+  return Boolean(block);
+};
+
+// Moderation
+// Reports wait in a queue until an admin resolves them. Resolving applies an action and
+// settles every other open report about the same target with the same decision.
+const isUserSuspended = async (userId) => Boolean(await User.exists({ id: userId, suspendedAt: { $ne: null } }));
+
+const loadReportTarget = async (targetType, targetId, reporterId) => {
+  if (targetType === 'ITEM') {
+    const item = await Item.findOne({ id: targetId }, { ownerId: 1, name: 1, description: 1, images: 1 });
+    return item && {
+      targetUserId: item.ownerId,
+      snapshot: { name: item.name, description: item.description, images: item.images }
+    };
+  }
+  if (targetType === 'USER') {
+    const user = await User.findOne({ id: targetId }, { id: 1, name: 1, profileImageUrl: 1 });
+    return user && { targetUserId: user.id, snapshot: { name: user.name, profileImageUrl: user.profileImageUrl } };
+  }
+
+  // Chat messages can only be reported by participants of their chat
+  const message = await ChatMessage.findOne({ id: targetId });
+  const chat = message && await Chat.findOne({ id: message.chatId }, { participantIds: 1 });
+  if (!chat?.participantIds.includes(reporterId)) {
+    return null;
+  }
+  return {
+    targetUserId: message.senderId,
+    snapshot: { chatId: message.chatId, message: message.message, type: message.type, sentAt: message.timestamp }
+  };
+};
+
+const createReport = async (reporterId, { targetType, targetId, reason, details }) => {
+  const target = await loadReportTarget(targetType, targetId, reporterId);
+  if (!target) {
+    throw new ApiError(404, 'Report target not found');
+  }
+  if (target.targetUserId === reporterId) {
+    throw new ApiError(400, 'You cannot report yourself or your own content');
+  }
+  if (await Report.exists({ reporterId, targetType, targetId, status: 'OPEN' })) {
+    throw new ApiError(409, 'You have already reported this and it is awaiting review');
+  }
+
+  return Report.create({ reporterId, targetType, targetId, reason, details, ...target });
+};
+
+// Hiding an already hidden item keeps the availability recorded when it was first hidden
+const hideItem = (itemId, reason, session) => {
+  const now = new Date();
+  const isHidden = { $ne: [{ $ifNull: ['$hiddenAt', null] }, null] };
+  return Item.updateOne(
+    { id: itemId },
+    [{
+      $set: {
+        availableBeforeHidden: { $cond: [isHidden, '$availableBeforeHidden', '$isAvailable'] },
+        hiddenAt: { $cond: [isHidden, '$hiddenAt', now] },
+        isAvailable: false,
+        hiddenReason: reason,
+        updatedAt: now
+      }
+    }],
+    { session }
+  );
+};
+
+// Relists hidden items only if they were available when hidden
+const unhideItems = (filter, session) => {
+  return Item.updateMany(
+    { ...filter, hiddenAt: { $ne: null } },
+    [
+      { $set: { isAvailable: { $ifNull: ['$availableBeforeHidden', false] }, hiddenAt: null, updatedAt: new Date() } },
+      { $unset: ['hiddenReason', 'availableBeforeHidden'] }
+    ],
+    { session }
+  );
+};
+
+// Suspended users cannot call the API; their available listings are hidden until reinstatement
+const suspendUser = async (userId, reason, session) => {
+  const now = new Date();
+  await User.updateOne({ id: userId }, { $set: { suspendedAt: now, suspensionReason: reason, updatedAt: now } }, { session });
+  await Item.updateMany(
+    { ownerId: userId, isAvailable: true },
+    { $set: { isAvailable: false, availableBeforeHidden: true, hiddenAt: now, hiddenReason: 'OWNER_SUSPENDED', updatedAt: now } },
+    { session }
+  );
+};
+
+const reinstateUser = (userId) => withTransaction(async (session) => {
+  const now = new Date();
+  const result = await User.updateOne(
+    { id: userId, suspendedAt: { $ne: null } },
+    { $set: { suspendedAt: null, updatedAt: now }, $unset: { suspensionReason: 1 } },
+    { session }
+  );
+  if (!result.matchedCount) {
+    return null;
+  }
+
+  // Listings hidden by a report stay hidden
+  const restored = await unhideItems({ ownerId: userId, hiddenReason: 'OWNER_SUSPENDED' }, session);
+  return { restoredItemCount: restored.modifiedCount };
+});
+
+const resolveReport = (reportId, adminId, { action, note }) => withTransaction(async (session) => {
+  const report = await Report.findOne({ id: reportId }).session(session);
+  if (!report) {
+    throw new ApiError(404, 'Report not found');
+  }
+  if (report.status !== 'OPEN') {
+    throw new ApiError(409, `Report has already been ${report.status.toLowerCase()}`);
+  }
+  if (action === 'HIDE_ITEM' && report.targetType !== 'ITEM') {
+    throw new ValidationError(422, 'Validation failed', [{ field: 'action', message: 'HIDE_ITEM only applies to item reports' }]);
+  }
+
+  if (action === 'HIDE_ITEM') {
+    await hideItem(report.targetId, 'REPORTED', session);
+  } else if (action === 'SUSPEND_USER') {
+    await suspendUser(report.targetUserId, note || report.reason, session);
+  }
+
+  const now = new Date();
+  const settled = await Report.updateMany(
+    { targetType: report.targetType, targetId: report.targetId, status: 'OPEN' },
+    {
+      $set: {
+        status: action === 'NONE' ? 'DISMISSED' : 'RESOLVED',
+        resolution: { action, note, resolvedBy: adminId, resolvedAt: now },
+        updatedAt: now
+      }
+    },
+    { session }
+  );
+
+  return {
+    report: await Report.findOne({ id: reportId }).session(session),
+    settledReportCount: settled.modifiedCount
+  };
+});
+
+// Error carrying an HTTP status, thrown from helpers that run inside route handlers
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// Field-level validation failures; details lists { field, message } for each problem
+class ValidationError extends ApiError {
+  constructor(status, message, details) {
+    super(status, message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+const sendError = (res, status, error, details) => {
+  res.status(status).json({ success: false, error, ...(details && { details }) });
+};
+
+const handleRouteError = (res, error) => {
+  if (error instanceof ApiError) {
+    return sendError(res, error.status, error.message, error.details);
+  }
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyPattern || error.keyValue || {});
+    return sendError(res, 409, 'A record with the same unique value already exists',
+      fields.map((field) => ({ field, message: 'is already in use' })));
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return sendError(res, 422, 'Validation failed',
+      Object.values(error.errors).map((fieldError) => ({ field: fieldError.path, message: fieldError.message })));
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return sendError(res, 422, 'Validation failed', [{ field: error.path, message: `must be a valid ${error.kind}` }]);
+  }
+
+  console.error('❌ Unhandled route error:', error);
+  sendError(res, 500, 'Internal server error');
+};
+
+// Request body validation
+// A schema maps each writable field to a spec: { type, required, nullable, trim, minLength, maxLength,
+// pattern, enum, integer, min, max, maxItems, items, fields }. A spec with readOnly (a hint for the
+// client) marks a field that exists but cannot be written through the route. Fields missing from
+// the schema are rejected with 400; values that break their spec are rejected with 422.
+const FIELD_TYPES = {
+  string: { label: 'a string', check: (value) => typeof value === 'string' },
+  number: { label: 'a number', check: (value) => typeof value === 'number' && Number.isFinite(value) },
+  boolean: { label: 'a boolean', check: (value) => typeof value === 'boolean' },
+  array: { label: 'an array', check: Array.isArray },
+  object: { label: 'an object', check: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) },
+  timestamp: {
+    label: 'a timestamp in milliseconds or an ISO date',
+    check: (value) => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && Number.isFinite(Date.parse(value)))
+  }
+};
+
+const validateValue = (spec, value, field, problems) => {
+  const invalid = (message) => {
+    problems.invalid.push({ field, message });
+    return undefined;
+  };
+
+  if (value === null) {
+    return spec.nullable ? null : invalid('must not be null');
+  }
+
+  const type = FIELD_TYPES[spec.type];
+  if (!type.check(value)) {
+    return invalid(`must be ${type.label}`);
+  }
+  // check(value) covers rules the spec keys cannot express and returns a problem or nothing
+  const problem = spec.check?.(value);
+  if (problem) {
+    return invalid(problem);
+  }
+
+  if (spec.type === 'string') {
+    const text = spec.trim ? value.trim() : value;
+    if (spec.minLength !== undefined && text.length < spec.minLength) {
+      return invalid(spec.minLength === 1 ? 'must not be empty' : `must be at least ${spec.minLength} characters`);
+    }
+    if (spec.maxLength !== undefined && text.length > spec.maxLength) {
+      return invalid(`must be at most ${spec.maxLength} characters`);
+    }
+    if (spec.pattern && !spec.pattern.test(text)) {
+      return invalid(spec.patternMessage || 'has an invalid format');
+    }
+    if (spec.enum && !spec.enum.includes(text)) {
+      return invalid(`must be one of ${spec.enum.join(', ')}`);
+    }
+    return text;
+  }
+
+  if (spec.type === 'number') {
+    if (spec.integer && !Number.isInteger(value)) {
+      return invalid('must be an integer');
+    }
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      return invalid(spec.max === undefined ? `must be at least ${spec.min}` : `must be between ${spec.min} and ${spec.max}`);
+    }
+    return value;
+  }
+
+  if (spec.type === 'array') {
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      return invalid(`must have at most ${spec.maxItems} entries`);
+    }
+    return spec.items
+      ? value.map((entry, index) => validateValue(spec.items, entry, `${field}[${index}]`, problems))
+      : value;
+  }
+
+  if (spec.type === 'object' && spec.fields) {
+    return validateFields(spec.fields, value, { prefix: `${field}.` }, problems);
+  }
+  return value;
+};
+
+const validateFields = (fields, input, { partial = false, prefix = '' }, problems) => {
+  const output = {};
+  for (const key of Object.keys(input)) {
+    if (!Object.hasOwn(fields, key)) {
+      problems.unknown.push({ field: `${prefix}${key}`, message: 'is not a writable field' });
+    }
+  }
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const field = `${prefix}${key}`;
+    const value = input[key];
+    if (spec.readOnly) {
+      if (value !== undefined) {
+        problems.unknown.push({ field, message: spec.readOnly });
+      }
+    } else if (value === undefined) {
+      if (spec.required && !partial) {
+        problems.invalid.push({ field, message: 'is required' });
+      }
+    } else {
+      output[key] = validateValue(spec, value, field, problems);
+    }
+  }
+  return output;
+};
+
+// Returns only the schema's fields from body, or throws a ValidationError.
+// partial bodies (updates) may leave out required fields but must change something.
+const validateRequestBody = (schema, body, { partial = false } = {}) => {
+  const input = body === undefined ? {} : body;
+  if (!FIELD_TYPES.object.check(input)) {
+    throw new ValidationError(400, 'Request body must be a JSON object');
+  }
+
+  const problems = { unknown: [], invalid: [] };
+  const output = validateFields(schema, input, { partial }, problems);
+  if (problems.unknown.length) {
+    throw new ValidationError(400, 'Request body contains fields that cannot be written', problems.unknown);
+  }
+  if (problems.invalid.length) {
+    throw new ValidationError(422, 'Validation failed', problems.invalid);
+  }
+  if (partial && !Object.keys(output).length) {
+    throw new ValidationError(400, 'Request body has no fields to update');
+  }
+  return output;
+};
+
+// Replaces req.body with the validated, whitelisted fields
+const validateBody = (schema, options) => (req, res, next) => {
+  try {
+    req.body = validateRequestBody(schema, req.body, options);
+    next();
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+};
+
+const ID_SPEC = { type: 'string', trim: true, minLength: 1, maxLength: 128 };
+const URL_SPEC = {
+  type: 'string',
+  trim: true,
+  maxLength: 2048,
+  pattern: /^https?:\/\/\S+$/i,
+  patternMessage: 'must be an http(s) URL'
+};
+
+const LATITUDE_SPEC = { type: 'number', required: true, min: -90, max: 90 };
+const LONGITUDE_SPEC = { type: 'number', required: true, min: -180, max: 180 };
+
+// Accepts { latitude, longitude } or a GeoJSON point, like parseLocationInput
+const describeLocationProblem = (location) => {
+  if (location.coordinates !== undefined) {
+    const { type, coordinates } = location;
+    if (type !== 'Point' || !Array.isArray(coordinates) || coordinates.length !== 2) {
+      return 'must be a GeoJSON Point with [longitude, latitude] coordinates';
+    }
+    return describeLocationProblem({ latitude: coordinates[1], longitude: coordinates[0] });
+  }
+  const isInRange = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+  if (!isInRange(location.latitude, 90) || !isInRange(location.longitude, 180)) {
+    return 'must have a numeric latitude (-90 to 90) and longitude (-180 to 180)';
+  }
+  return undefined;
+};
+const LOCATION_SPEC = { type: 'object', check: describeLocationProblem };
+
+const USER_FIELDS = {
+  name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+  email: {
+    type: 'string',
+    required: true,
+    trim: true,
+    maxLength: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: 'must be an email address'
+  },
+  profileImageUrl: { ...URL_SPEC, nullable: true },
+  location: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      latitude: LATITUDE_SPEC,
+      longitude: LONGITUDE_SPEC,
+      address: { type: 'string', trim: true, maxLength: 300 }
+    }
+  }
+};
+
+const USER_CREATE_FIELDS = { id: ID_SPEC, ...USER_FIELDS };
+
+const ITEM_FIELDS = {
+  name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 120 },
+  description: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 5000 },
+  category: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 60 },
+  condition: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 60 },
+  images: { type: 'array', maxItems: ITEM_MAX_IMAGES, items: URL_SPEC },
+  location: { ...LOCATION_SPEC, nullable: true },
+  isAvailable: { type: 'boolean' }
+};
+
+const ITEM_CREATE_FIELDS = {
+  id: { ...ID_SPEC, required: true },
+  ownerId: ID_SPEC, // Must be the caller; the server sets it
+  ...ITEM_FIELDS
+};
+
+// A meetup needs a location or a safeSpotId; resolveMeetupLocation checks that
+const MEETUP_PROPOSAL_FIELDS = {
+  scheduledAt: {
+    type: 'timestamp',
+    required: true,
+    check: (value) => (toTimestamp(value) <= Date.now() ? 'must be in the future' : undefined)
+  },
+  location: {
+    type: 'object',
+    fields: {
+      name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200 },
+      address: { type: 'string', trim: true, maxLength: 300 },
+      latitude: LATITUDE_SPEC,
+      longitude: LONGITUDE_SPEC,
+      type: { type: 'string', trim: true, maxLength: 60 }
+    }
+  },
+  safeSpotId: ID_SPEC,
+  meetupType: { type: 'string', trim: true, maxLength: 60 },
+  notes: { type: 'string', maxLength: 1000 }
+};
+
+// Bodies of the meetup action endpoints; reschedule takes a partial proposal
+const MEETUP_ACTION_FIELDS = {
+  accept: {},
+  reschedule: MEETUP_PROPOSAL_FIELDS,
+  'check-in': {
+    location: { type: 'object', fields: { latitude: LATITUDE_SPEC, longitude: LONGITUDE_SPEC } }
+  },
+  complete: {},
+  cancel: {
+    reason: { type: 'string', trim: true, maxLength: 500 }
+  }
+};
+
+const OFFER_TERM_FIELDS = {
+  offeredItemIds: { type: 'array', maxItems: 20, items: ID_SPEC },
+  cashAmount: { type: 'number', nullable: true, min: 0 },
+  message: { type: 'string', nullable: true, maxLength: 1000 },
+  meetup: { type: 'object', nullable: true, fields: MEETUP_PROPOSAL_FIELDS }
+};
+
+const OFFER_CREATE_FIELDS = {
+  id: { ...ID_SPEC, required: true },
+  fromUserId: ID_SPEC, // Must be the caller; the server sets it
+  requestedItemId: { ...ID_SPEC, required: true },
+  ...OFFER_TERM_FIELDS
+};
+
+const OFFER_UPDATE_FIELDS = {
+  cashAmount: OFFER_TERM_FIELDS.cashAmount,
+  message: OFFER_TERM_FIELDS.message,
+  offeredItemIds: { readOnly: 'cannot be changed in place; send a counter offer instead' },
+  status: { readOnly: 'cannot be set directly; use the accept, reject, counter, cancel or expire endpoints' },
+  meetup: { readOnly: 'cannot be set directly; use the /meetup endpoints' }
+};
+
+const CHAT_MESSAGE_FIELDS = {
+  id: { ...ID_SPEC, required: true },
+  senderId: ID_SPEC, // Must be the caller; the server sets it
+  receiverId: ID_SPEC,
+  tradeId: ID_SPEC,
+  message: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+  type: { type: 'string', enum: ['TEXT', 'IMAGE', 'OFFER', 'MEETUP'] }
+};
+
+const WISHLIST_FIELDS = {
+  categories: { type: 'array', maxItems: 20, items: { type: 'string', trim: true, minLength: 1, maxLength: 60 } },
+  keywords: { type: 'array', maxItems: 20, items: { type: 'string', trim: true, minLength: 2, maxLength: 50 } }
+};
+
+const SAVED_SEARCH_FIELDS = {
+  name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 60 },
+  search: { type: 'string', nullable: true, trim: true, maxLength: 200 },
+  categories: { type: 'array', maxItems: 20, items: { type: 'string', trim: true, minLength: 1, maxLength: 60 } },
+  conditions: { type: 'array', maxItems: 20, items: { type: 'string', trim: true, minLength: 1, maxLength: 60 } },
+  near: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      latitude: LATITUDE_SPEC,
+      longitude: LONGITUDE_SPEC
+    }
+  },
+  radiusKm: { type: 'number', min: 1, max: 500 },
+  alertMode: { type: 'string', enum: ['INSTANT', 'DAILY', 'OFF'] }
+};
+
+const BLOCK_FIELDS = {
+  userId: { ...ID_SPEC, required: true }
+};
+
+const REPORT_FIELDS = {
+  targetType: { type: 'string', required: true, enum: REPORT_TARGET_TYPES },
+  targetId: { ...ID_SPEC, required: true },
+  reason: { type: 'string', required: true, enum: REPORT_REASONS },
+  details: { type: 'string', trim: true, maxLength: 1000 }
+};
+
+const RESOLVE_REPORT_FIELDS = {
+  action: { type: 'string', required: true, enum: MODERATION_ACTIONS },
+  note: { type: 'string', trim: true, maxLength: 1000 }
+};
+
+const USER_ROLE_FIELDS = {
+  role: { type: 'string', required: true, enum: ['USER', 'ADMIN'] }
+};
+
+const RATING_FIELDS = {
+  rating: { type: 'number', required: true, integer: true, min: 1, max: 5 },
+  comment: { type: 'string', maxLength: 1000 }
+};
+
+const NOTIFICATION_PREFERENCE_TYPES = ['offers', 'offerUpdates', 'chatMessages', 'meetups', 'trades', 'savedSearches'];
+const CLOCK_TIME_SPEC = { type: 'string', pattern: CLOCK_TIME_PATTERN, patternMessage: 'must be formatted as HH:mm' };
+
+const NOTIFICATION_PREFERENCE_FIELDS = {
+  types: {
+    type: 'object',
+    fields: Object.fromEntries(NOTIFICATION_PREFERENCE_TYPES.map((type) => [type, { type: 'boolean' }]))
+  },
+  quietHours: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      start: CLOCK_TIME_SPEC,
+      end: CLOCK_TIME_SPEC,
+      timeZone: {
+        type: 'string',
+        check: (value) => (isValidTimeZone(value) ? undefined : 'must be an IANA time zone such as Africa/Johannesburg')
+      }
+    }
+  }
+};
+
+const CHAT_MUTE_FIELDS = {
+  muted: { type: 'boolean', required: true }
+};
+
+const DEVICE_PLATFORMS = deviceSchema.path('platform').enumValues;
+
+const DEVICE_TOKEN_FIELDS = {
+  userId: ID_SPEC, // Must be the caller
+  token: { type: 'string', required: true, minLength: 1, maxLength: 4096 },
+  deviceId: { type: 'string', trim: true, minLength: 1, maxLength: 256 },
+  platform: { type: 'string', enum: DEVICE_PLATFORMS },
+  appVersion: { type: 'string', trim: true, maxLength: 64 }
+};
+
+// One of the two is required; the route checks that
+const DEVICE_UNREGISTER_FIELDS = {
+  deviceId: DEVICE_TOKEN_FIELDS.deviceId,
+  token: { type: 'string', minLength: 1, maxLength: 4096 }
+};
+
+const OFFER_NOTIFICATION_FIELDS = {
+  offerId: { ...ID_SPEC, required: true },
+  recipientUserId: { ...ID_SPEC, required: true },
+  senderUserId: { ...ID_SPEC, required: true } // Must be the caller
+};
+
+const SAFE_SPOT_CATEGORIES = safeMeetupSpotSchema.path('category').enumValues;
+
+const SAFE_SPOT_FIELDS = {
+  name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 120 },
+  address: { type: 'string', trim: true, maxLength: 300 },
+  category: { type: 'string', enum: SAFE_SPOT_CATEGORIES },
+  description: { type: 'string', trim: true, maxLength: 1000 },
+  openingHours: { type: 'string', trim: true, maxLength: 200 },
+  location: { ...LOCATION_SPEC, required: true },
+  isActive: { type: 'boolean' }
+};
+
+const OUTBOX_REPLAY_FIELDS = {
+  type: { type: 'string', trim: true, minLength: 1, maxLength: 60 },
+  userId: ID_SPEC
+};
+
+// Runs work(session) in a Mongo transaction, retrying on transient errors
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Offer state machine
+const OFFER_STATUSES = offerSchema.path('status').enumValues;
+
+const OFFER_TRANSITIONS = {
+  PENDING: ['ACCEPTED', 'REJECTED', 'COUNTERED', 'CANCELLED', 'EXPIRED'],
+  ACCEPTED: ['CANCELLED', 'COMPLETED'], // COMPLETED only through completeTrade
+  REJECTED: [],
+  COUNTERED: [],
+  EXPIRED: [],
+  CANCELLED: [],
+  COMPLETED: []
+};
+
+// Target status and the participants allowed to trigger each transition endpoint
+const OFFER_ACTIONS = {
+  accept: { status: 'ACCEPTED', actors: (offer) => [offer.toUserId] },
+  reject: { status: 'REJECTED', actors: (offer) => [offer.toUserId] },
+  counter: { status: 'COUNTERED', actors: (offer) => [offer.toUserId] },
+  cancel: {
+    status: 'CANCELLED',
+    actors: (offer) => (offer.status === 'ACCEPTED' ? [offer.fromUserId, offer.toUserId] : [offer.fromUserId])
+  },
+  expire: { status: 'EXPIRED', actors: (offer) => [offer.fromUserId, offer.toUserId] }
+};
+
+const canTransitionOffer = (fromStatus, toStatus) => {
+  return OFFER_STATUSES.includes(toStatus) && (OFFER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+const getOfferItemIds = (offer) => [offer.requestedItemId, ...(offer.offeredItemIds || [])];
+
+// Locks in an accepted offer: takes its items off the market, rejects competing
+// offers on the requested item and opens the chat for the two traders
+const applyOfferAcceptance = async (offer, session) => {
+  const itemIds = getOfferItemIds(offer);
+  const items = await Item.find({ id: { $in: itemIds } }).session(session);
+  if (items.length !== new Set(itemIds).size) {
+    throw new ApiError(409, 'One or more items in this offer no longer exist');
+  }
+
+  const requestedItem = items.find((item) => item.id === offer.requestedItemId);
+  const offeredItemsValid = items
+    .filter((item) => item.id !== requestedItem.id)
+    .every((item) => item.ownerId !== requestedItem.ownerId && isOfferParticipant(offer, item.ownerId));
+  if (!isOfferParticipant(offer, requestedItem.ownerId) || !offeredItemsValid) {
+    throw new ApiError(409, 'Items in this offer no longer belong to its participants');
+  }
+
+  const now = new Date();
+  const reserved = await Item.updateMany(
+    { id: { $in: itemIds }, isAvailable: true },
+    { isAvailable: false, updatedAt: now },
+    { session }
+  );
+  if (reserved.modifiedCount !== items.length) {
+    throw new ApiError(409, 'One or more items in this offer are no longer available');
+  }
+
+  const competingOffers = await Offer.find(
+    { requestedItemId: offer.requestedItemId, status: 'PENDING', id: { $ne: offer.id } },
+    { id: 1 }
+  ).session(session);
+  const autoRejectedOfferIds = competingOffers.map((competing) => competing.id);
+  if (autoRejectedOfferIds.length) {
+    await Offer.updateMany(
+      { id: { $in: autoRejectedOfferIds } },
+      { status: 'REJECTED', updatedAt: now },
+      { session }
+    );
+  }
+
+  const chat = await Chat.findOneAndUpdate(
+    { offerId: offer.id },
+    {
+      $set: {
+        participantIds: [offer.fromUserId, offer.toUserId],
+        itemId: requestedItem.id,
+        itemName: requestedItem.name,
+        isActive: true
+      },
+      $setOnInsert: {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        lastMessageAt: now
+      }
+    },
+    { upsert: true, new: true, session }
+  );
+
+  return { chatId: chat.id, autoRejectedOfferIds, unavailableItemIds: itemIds };
+};
+
+// Puts the items of a cancelled, previously accepted offer back on the market. Items
+// deleted, hidden, archived or traded away while the offer was accepted stay off it.
+const releaseOfferItems = async (offer, session) => {
+  const itemIds = getOfferItemIds(offer);
+  const tradedItemIds = await TradeHistory.distinct('itemsTraded.itemId', { 'itemsTraded.itemId': { $in: itemIds } }).session(session);
+  await Item.updateMany(
+    {
+      id: { $in: itemIds, $nin: tradedItemIds },
+      deletedAt: null,
+      hiddenAt: null,
+      archivedAt: null
+    },
+    { isAvailable: true, updatedAt: new Date() },
+    { session }
+  );
+};
+
+// Creates the child offer for a counter: the traders swap sides while the
+// requested item stays the same, and the counter may change the offered
+// items, cash amount, meetup and message
+const createCounterOffer = async (parentOffer, terms = {}, session) => {
+  const requestedItem = await Item.findOne({ id: parentOffer.requestedItemId }, { ownerId: 1, isAvailable: 1 }).session(session);
+  if (!requestedItem || !requestedItem.isAvailable) {
+    throw new ApiError(409, 'Requested item is no longer available');
+  }
+
+  const offeredItemIds = terms.offeredItemIds !== undefined ? terms.offeredItemIds : parentOffer.offeredItemIds;
+  if (!Array.isArray(offeredItemIds)) {
+    throw new ApiError(400, 'offeredItemIds must be an array');
+  }
+
+  const itemsOwnerId = parentOffer.fromUserId === requestedItem.ownerId ? parentOffer.toUserId : parentOffer.fromUserId;
+  const availableOfferedItems = await Item.countDocuments({
+    id: { $in: offeredItemIds },
+    ownerId: itemsOwnerId,
+    isAvailable: true
+  }).session(session);
+  if (availableOfferedItems !== new Set(offeredItemIds).size) {
+    throw new ApiError(409, 'Offered items must be available and belong to the other trader');
+  }
+
+  const now = new Date();
+  const counterOffer = new Offer({
+    id: crypto.randomUUID(),
+    fromUserId: parentOffer.toUserId,
+    toUserId: parentOffer.fromUserId,
+    requestedItemId: parentOffer.requestedItemId,
+    offeredItemIds,
+    cashAmount: terms.cashAmount !== undefined ? terms.cashAmount : parentOffer.cashAmount,
+    meetup: terms.meetup !== undefined
+      ? terms.meetup && await buildMeetupProposal(terms.meetup, parentOffer.toUserId)
+      : await carryOverMeetupProposal(parentOffer, parentOffer.toUserId),
+    message: terms.message,
+    parentOfferId: parentOffer.id,
+    rootOfferId: parentOffer.rootOfferId || parentOffer.id,
+    status: 'PENDING',
+    createdAt: now,
+    updatedAt: now
+  });
+  await counterOffer.save({ session });
+
+  return { counterOffer };
+};
+
+const transitionOffer = (offerId, userId, action, counterTerms) => withTransaction(async (session) => {
+  const rule = OFFER_ACTIONS[action];
+  const offer = await Offer.findOne({ id: offerId }).session(session);
+  if (!offer) {
+    throw new ApiError(404, 'Offer not found');
+  }
+  if (!isOfferParticipant(offer, userId)) {
+    throw new ApiError(403, 'You do not have access to this resource');
+  }
+  if (!canTransitionOffer(offer.status, rule.status)) {
+    throw new ApiError(409, `Cannot ${action} an offer that is ${offer.status}`);
+  }
+  // Offers completed before the COMPLETED status existed are still ACCEPTED with a tradeId
+  if (offer.tradeId) {
+    throw new ApiError(409, `Cannot ${action} an offer whose trade has been completed`);
+  }
+  if (!rule.actors(offer).includes(userId)) {
+    throw new ApiError(403, `You are not allowed to ${action} this offer`);
+  }
+  if ((action === 'accept' || action === 'counter') && await isBlockedBetween(offer.fromUserId, offer.toUserId, session)) {
+    throw new ApiError(403, 'You cannot trade with this user');
+  }
+
+  const isPastExpiry = offer.status === 'PENDING' && offer.expiresAt && offer.expiresAt <= new Date();
+  if (action === 'expire' && offer.expiresAt && !isPastExpiry) {
+    throw new ApiError(409, 'Offer has not reached its expiry time yet');
+  }
+  if (action !== 'expire' && isPastExpiry) {
+    throw new ApiError(409, 'Offer has expired');
+  }
+
+  const previousStatus = offer.status;
+  let sideEffects = null;
+  if (rule.status === 'ACCEPTED') {
+    sideEffects = await applyOfferAcceptance(offer, session);
+  }
+  if (rule.status === 'COUNTERED') {
+    sideEffects = await createCounterOffer(offer, counterTerms, session);
+  }
+  if (rule.status === 'CANCELLED' && previousStatus === 'ACCEPTED') {
+    await releaseOfferItems(offer, session);
+  }
+
+  offer.status = rule.status;
+  offer.updatedAt = new Date();
+  await offer.save({ session });
+
+  await notifyOfferStatusChange({
+    offer,
+    status: rule.status,
+    actorId: userId,
+    counterOfferId: sideEffects?.counterOffer?.id
+  }, session);
+  if (sideEffects?.autoRejectedOfferIds?.length) {
+    const rejectedOffers = await Offer.find({ id: { $in: sideEffects.autoRejectedOfferIds } }).session(session);
+    for (const rejectedOffer of rejectedOffers) {
+      await notifyOfferStatusChange({ offer: rejectedOffer, status: 'REJECTED', reason: 'ITEM_TRADED' }, session);
+    }
+  }
+
+  return { offer, previousStatus, sideEffects };
+});
+
+const OFFER_MEETUP_DIFF_FIELDS = ['scheduledAt', 'meetupType', 'notes', 'location'];
+
+// Describes what a counter offer changed relative to the offer it replaced
+const diffOffers = (previous, current) => {
+  const changes = {};
+
+  const previousItemIds = previous.offeredItemIds || [];
+  const currentItemIds = current.offeredItemIds || [];
+  const added = currentItemIds.filter((itemId) => !previousItemIds.includes(itemId));
+  const removed = previousItemIds.filter((itemId) => !currentItemIds.includes(itemId));
+  if (added.length || removed.length) {
+    changes.offeredItemIds = { added, removed };
+  }
+
+  if ((previous.cashAmount ?? null) !== (current.cashAmount ?? null)) {
+    changes.cashAmount = { from: previous.cashAmount ?? null, to: current.cashAmount ?? null };
+  }
+
+  if ((previous.message || '') !== (current.message || '')) {
+    changes.message = { from: previous.message || null, to: current.message || null };
+  }
+
+  const meetupChanges = {};
+  OFFER_MEETUP_DIFF_FIELDS.forEach((field) => {
+    const from = previous.meetup?.[field] ?? null;
+    const to = current.meetup?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      meetupChanges[field] = { from, to };
+    }
+  });
+  if (Object.keys(meetupChanges).length) {
+    changes.meetup = meetupChanges;
+  }
+
+  return changes;
+};
+
+// Geo query helpers
+// Parses a "lat,lng" query value
+const parseNearParam = (near) => {
+  const [latitude, longitude] = String(near).split(',').map((value) => value.trim());
+  const point = toGeoPoint({ latitude, longitude });
+  if (!point) {
+    throw new ApiError(400, 'near must be formatted as "latitude,longitude"');
+  }
+  return { latitude: Number(latitude), longitude: Number(longitude) };
+};
+
+const parseRadiusKm = (radiusKm) => {
+  const radius = Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > 500) {
+    throw new ApiError(400, 'radiusKm must be a number between 0 and 500');
+  }
+  return radius;
+};
+
+const withinRadiusQuery = ({ latitude, longitude }, radiusKm) => ({
+  $geoWithin: { $centerSphere: [[longitude, latitude], radiusKm / EARTH_RADIUS_KM] }
+});
+
+// Accepts { latitude, longitude } or a GeoJSON point from the client
+const parseLocationInput = (location) => {
+  const point = Array.isArray(location?.coordinates)
+    ? toGeoPoint({ latitude: location.coordinates[1], longitude: location.coordinates[0] })
+    : toGeoPoint(location);
+  if (!point) {
+    throw new ApiError(400, 'location must include a valid latitude and longitude');
+  }
+  return point;
+};
+
+// Items are placed where the client says, or at their owner's location
+const resolveItemLocation = async (location, ownerId) => {
+  if (location !== undefined && location !== null) {
+    return parseLocationInput(location);
+  }
+
+  const owner = await User.findOne({ id: ownerId }, { geo: 1 });
+  return owner?.geo?.coordinates?.length ? owner.geo.toObject() : undefined;
+};
+
+// Great-circle distance in km from a fixed point to a document's location, as an aggregation expression
+const distanceKmExpression = ({ latitude, longitude }, field = '$location.coordinates') => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const documentLatitude = { $degreesToRadians: { $arrayElemAt: [field, 1] } };
+  const documentLongitude = { $degreesToRadians: { $arrayElemAt: [field, 0] } };
+  const halfLatitudeDelta = { $divide: [{ $subtract: [documentLatitude, toRadians(latitude)] }, 2] };
+  const halfLongitudeDelta = { $divide: [{ $subtract: [documentLongitude, toRadians(longitude)] }, 2] };
+
+  return {
+    $multiply: [
+      2 * EARTH_RADIUS_KM,
+      {
+        $asin: {
+          $sqrt: {
+            $add: [
+              { $pow: [{ $sin: halfLatitudeDelta }, 2] },
+              {
+                $multiply: [
+                  Math.cos(toRadians(latitude)),
+                  { $cos: documentLatitude },
+                  { $pow: [{ $sin: halfLongitudeDelta }, 2] }
+                ]
+              }
+            ]
+          }
+        }
+      }
+    ]
+  };
+};
+
+// Great-circle distance in km between two { latitude, longitude } points
+const haversineKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const halfLatitudeDelta = toRadians(to.latitude - from.latitude) / 2;
+  const halfLongitudeDelta = toRadians(to.longitude - from.longitude) / 2;
+  const a = Math.sin(halfLatitudeDelta) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(halfLongitudeDelta) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Point halfway along the great circle between two { latitude, longitude } points
+const geographicMidpoint = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const toDegrees = (radians) => (radians * 180) / Math.PI;
+  const fromLatitude = toRadians(from.latitude);
+  const toLatitude = toRadians(to.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+  const bx = Math.cos(toLatitude) * Math.cos(longitudeDelta);
+  const by = Math.cos(toLatitude) * Math.sin(longitudeDelta);
+
+  const latitude = Math.atan2(Math.sin(fromLatitude) + Math.sin(toLatitude), Math.sqrt((Math.cos(fromLatitude) + bx) ** 2 + by ** 2));
+  const longitude = toRadians(from.longitude) + Math.atan2(by, Math.cos(fromLatitude) + bx);
+  return {
+    latitude: toDegrees(latitude),
+    longitude: ((toDegrees(longitude) + 540) % 360) - 180
+  };
+};
+
+const fromGeoPoint = (point) => ({ latitude: point.coordinates[1], longitude: point.coordinates[0] });
+
+// Meetup scheduling
+// A proposed meetup waits for the other trader to accept it. Accepted meetups are PENDING until
+// the first check-in (IN_PROGRESS), and can be COMPLETED once both traders have checked in.
+// sequence increases whenever the time or place changes or the meetup is cancelled.
+const MEETUP_ACTIONS = {
+  propose: { from: [], offerStatuses: ['PENDING', 'ACCEPTED'] },
+  accept: { from: ['PROPOSED'], offerStatuses: ['PENDING', 'ACCEPTED'] },
+  reschedule: { from: ['PROPOSED', 'PENDING'], offerStatuses: ['PENDING', 'ACCEPTED'] },
+  'check-in': { from: ['PENDING', 'IN_PROGRESS'], offerStatuses: ['ACCEPTED'] },
+  complete: { from: ['IN_PROGRESS'], offerStatuses: ['ACCEPTED'] },
+  cancel: { from: ['PROPOSED', 'PENDING', 'IN_PROGRESS'], offerStatuses: ['PENDING', 'ACCEPTED'] }
+};
+
+// Check-ins open this long before the meetup time
+const MEETUP_CHECK_IN_LEAD_MS = 2 * 60 * 60 * 1000;
+
+// Offers created before meetups had ids may still carry a scheduled meetup
+const hasMeetup = (offer) => Boolean(offer.meetup?.id || offer.meetup?.scheduledAt);
+
+// scheduledAt arrives as milliseconds or an ISO date
+const toTimestamp = (value) => (typeof value === 'number' ? value : Date.parse(value));
+
+// Meetups take place at a curated safe spot (safeSpotId) or a location the traders chose
+const resolveMeetupLocation = async ({ location, safeSpotId }) => {
+  if (safeSpotId !== undefined) {
+    const spot = await SafeMeetupSpot.findOne({ id: String(safeSpotId), isActive: true });
+    if (!spot) {
+      throw new ApiError(404, 'Meetup spot not found');
+    }
+    return { ...fromGeoPoint(spot.location), name: spot.name, address: spot.address, type: 'SAFE_SPOT', safeSpotId: spot.id };
+  }
+
+  if (!location) {
+    throw new ValidationError(422, 'Validation failed', [{ field: 'location', message: 'is required unless a safeSpotId is given' }]);
+  }
+  return {
+    ...fromGeoPoint(parseLocationInput(location)),
+    name: location.name,
+    address: location.address,
+    type: location.type
+  };
+};
+
+// Builds a PROPOSED meetup from input checked against MEETUP_PROPOSAL_FIELDS. When
+// rescheduling, omitted fields keep the previous meetup's values and the meetup keeps its id.
+const buildMeetupProposal = async (input, proposedBy, previous) => {
+  const { scheduledAt, location, safeSpotId, meetupType, notes } = input;
+  const keepsLocation = previous && location === undefined && safeSpotId === undefined;
+  return {
+    id: previous?.id || crypto.randomUUID(),
+    location: keepsLocation ? previous.location : await resolveMeetupLocation({ location, safeSpotId }),
+    scheduledAt: scheduledAt === undefined ? previous.scheduledAt : toTimestamp(scheduledAt),
+    meetupType: meetupType !== undefined ? meetupType : previous?.meetupType,
+    notes: notes !== undefined ? notes : previous?.notes,
+    status: 'PROPOSED',
+    proposedBy,
+    sequence: (previous?.sequence || 0) + 1,
+    checkIns: []
+  };
+};
+
+// A counter offer keeps where and when its parent's meetup was planned, as a fresh proposal
+// from the counterer: confirmations, check-ins and reminders stay with the parent
+const carryOverMeetupProposal = (parentOffer, proposedBy) => {
+  if (!hasMeetup(parentOffer) || parentOffer.meetup.status === 'CANCELLED') {
+    return undefined;
+  }
+  return buildMeetupProposal({}, proposedBy, parentOffer.meetup);
+};
+
+const updateMeetup = (offerId, userId, action, input = {}) => withTransaction(async (session) => {
+  const rule = MEETUP_ACTIONS[action];
+  const offer = await Offer.findOne({ id: offerId }).session(session);
+  if (!offer) {
+    throw new ApiError(404, 'Offer not found');
+  }
+  if (!isOfferParticipant(offer, userId)) {
+    throw new ApiError(403, 'You do not have access to this resource');
+  }
+  if (!rule.offerStatuses.includes(offer.status)) {
+    throw new ApiError(409, `Cannot ${action} a meetup on an offer that is ${offer.status}`);
+  }
+
+  if (action === 'propose') {
+    if (hasMeetup(offer) && offer.meetup.status !== 'CANCELLED') {
+      throw new ApiError(409, 'This offer already has a meetup; reschedule or cancel it instead');
+    }
+  } else if (!hasMeetup(offer)) {
+    throw new ApiError(404, 'This offer has no meetup');
+  } else if (!rule.from.includes(offer.meetup.status)) {
+    throw new ApiError(409, `Cannot ${action} a meetup that is ${offer.meetup.status}`);
+  }
+
+  const now = Date.now();
+  let change;
+  if (action === 'propose') {
+    offer.meetup = await buildMeetupProposal(input, userId);
+    change = 'PROPOSED';
+  } else if (action === 'accept') {
+    if (offer.meetup.proposedBy === userId) {
+      throw new ApiError(403, 'The other trader must accept your proposal');
+    }
+    offer.meetup.status = 'PENDING';
+    offer.meetup.acceptedAt = now;
+    change = 'ACCEPTED';
+  } else if (action === 'reschedule') {
+    if (input.scheduledAt === undefined && input.location === undefined && input.safeSpotId === undefined) {
+      throw new ValidationError(422, 'Validation failed', [
+        { field: 'scheduledAt', message: 'or a new location or safeSpotId is required to reschedule' }
+      ]);
+    }
+    offer.meetup = await buildMeetupProposal(input, userId, offer.meetup.toObject());
+    change = 'RESCHEDULED';
+  } else if (action === 'check-in') {
+    if (offer.meetup.checkIns.some((checkIn) => checkIn.userId === userId)) {
+      throw new ApiError(409, 'You have already checked in');
+    }
+    if (offer.meetup.scheduledAt && now < offer.meetup.scheduledAt - MEETUP_CHECK_IN_LEAD_MS) {
+      throw new ApiError(409, 'Check-in opens 2 hours before the meetup');
+    }
+    const point = input.location !== undefined ? parseLocationInput(input.location) : undefined;
+    offer.meetup.checkIns.push({ userId, checkedInAt: now, ...(point && fromGeoPoint(point)) });
+    offer.meetup.status = 'IN_PROGRESS';
+    change = 'CHECKED_IN';
+  } else if (action === 'complete') {
+    const checkedIn = new Set(offer.meetup.checkIns.map((checkIn) => checkIn.userId));
+    if (!checkedIn.has(offer.fromUserId) || !checkedIn.has(offer.toUserId)) {
+      throw new ApiError(409, 'Both traders must check in before the meetup can be completed');
+    }
+    offer.meetup.status = 'COMPLETED';
+    offer.meetup.completedAt = now;
+    change = 'COMPLETED';
+  } else if (action === 'cancel') {
+    offer.meetup.status = 'CANCELLED';
+    offer.meetup.cancelledAt = now;
+    offer.meetup.cancelledBy = userId;
+    offer.meetup.cancelReason = input.reason;
+    offer.meetup.sequence = (offer.meetup.sequence || 0) + 1;
+    change = 'CANCELLED';
+  }
+
+  offer.updatedAt = new Date();
+  await offer.save({ session });
+
+  if (change === 'PROPOSED') {
+    await notifyMeetupScheduled(offer, userId, session);
+  } else {
+    await notifyMeetupUpdated(offer, userId, change, session);
+  }
+  return offer;
+});
+
+// Active safe spots near the midpoint of both traders, ranked so neither travels much further than the other.
+// fromUserDistanceKm and toUserDistanceKm are measured from the offer's fromUserId and toUserId.
+const suggestMeetupSpots = async (offer, radiusKm) => {
+  const users = await User.find({ id: { $in: [offer.fromUserId, offer.toUserId] } }, { id: 1, geo: 1 });
+  const geoOf = (userId) => users.find((user) => user.id === userId)?.geo;
+  const fromGeo = geoOf(offer.fromUserId);
+  const toGeo = geoOf(offer.toUserId);
+  if (!fromGeo?.coordinates?.length || !toGeo?.coordinates?.length) {
+    throw new ApiError(409, 'Both traders need a location to suggest meetup spots');
+  }
+
+  const from = fromGeoPoint(fromGeo);
+  const to = fromGeoPoint(toGeo);
+  const midpoint = geographicMidpoint(from, to);
+  const distanceBetweenKm = haversineKm(from, to);
+  const searchRadiusKm = radiusKm || Math.min(Math.max(distanceBetweenKm / 2, 2), 50);
+
+  const spots = await SafeMeetupSpot.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [midpoint.longitude, midpoint.latitude] },
+        key: 'location',
+        distanceField: 'distanceFromMidpointKm',
+        distanceMultiplier: 0.001,
+        maxDistance: searchRadiusKm * 1000,
+        spherical: true,
+        query: { isActive: true }
+      }
+    },
+    {
+      $addFields: {
+        fromUserDistanceKm: { $round: [distanceKmExpression(from), 2] },
+        toUserDistanceKm: { $round: [distanceKmExpression(to), 2] },
+        distanceFromMidpointKm: { $round: ['$distanceFromMidpointKm', 2] }
+      }
+    },
+    { $addFields: { maxTravelKm: { $max: ['$fromUserDistanceKm', '$toUserDistanceKm'] } } },
+    { $sort: { maxTravelKm: 1, distanceFromMidpointKm: 1 } },
+    { $limit: 10 },
+    { $project: { _id: 0, __v: 0 } }
+  ]);
+
+  return {
+    midpoint,
+    distanceBetweenKm: Math.round(distanceBetweenKm * 100) / 100,
+    radiusKm: searchRadiusKm,
+    spots
+  };
+};
+
+// Swap matchmaking
+// A wishlist wants an item when the item's category is one of its categories or a keyword
+// appears in the item's name or description. A mutual match is an item the caller wants whose
+// owner wants one of the caller's listings; a trade cycle closes the loop through a third
+// trader: the caller gives to C, C gives to B and B gives the caller what they want.
+const MATCH_DEFAULT_RADIUS_KM = 50;
+const MATCH_CANDIDATE_LIMIT = 500; // Items, traders and cycles considered per request
+const MATCH_DISTANCE_SCALE_KM = 10; // Distance at which the distance score halves
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hasWishlist = (wishlist) => Boolean(wishlist?.categories?.length || wishlist?.keywords?.length);
+
+// Mongo filter for the items a wishlist wants
+const wishlistItemFilter = (wishlist) => {
+  const clauses = [];
+  if (wishlist.categories.length) {
+    clauses.push({ category: { $in: wishlist.categories.map((category) => new RegExp(`^${escapeRegex(category)}$`, 'i')) } });
+  }
+  for (const keyword of wishlist.keywords) {
+    const pattern = new RegExp(escapeRegex(keyword), 'i');
+    clauses.push({ name: pattern }, { description: pattern });
+  }
+  return { $or: clauses };
+};
+
+const wishlistWantsItem = (wishlist, item) => {
+  if (!hasWishlist(wishlist)) {
+    return false;
+  }
+  if (wishlist.categories.includes(String(item.category).toLowerCase())) {
+    return true;
+  }
+  const text = `${item.name} ${item.description}`.toLowerCase();
+  return wishlist.keywords.some((keyword) => text.includes(keyword));
+};
+
+// Rating average pulled towards a neutral 3.5 while a trader has few ratings, scaled to 0..1
+const getReputationScore = (user) => {
+  const priorWeight = 5;
+  const count = user.ratingCount || 0;
+  const average = (3.5 * priorWeight + (user.ratingAverage || 0) * count) / (priorWeight + count);
+  return (average - 1) / 4;
+};
+
+const getDistanceScore = (distanceKm) => (distanceKm == null ? 0 : 1 / (1 + distanceKm / MATCH_DISTANCE_SCALE_KM));
+
+const getUserDistanceKm = (from, to) => {
+  if (!from?.geo?.coordinates?.length || !to?.geo?.coordinates?.length) {
+    return null;
+  }
+  return Math.round(haversineKm(fromGeoPoint(from.geo), fromGeoPoint(to.geo)) * 100) / 100;
+};
+
+const getMatchScore = (distanceKm, reputation) => Math.round((0.6 * getDistanceScore(distanceKm) + 0.4 * reputation) * 1000) / 1000;
+
+const toMatchTrader = (user) => ({
+  userId: user.id,
+  name: user.name,
+  profileImageUrl: user.profileImageUrl,
+  ratingAverage: user.ratingAverage,
+  ratingCount: user.ratingCount,
+  tradeScore: user.tradeScore
+});
+
+const toMatchItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  category: item.category,
+  condition: item.condition,
+  images: item.images,
+  ownerId: item.ownerId
+});
+
+const MATCH_USER_FIELDS = { id: 1, name: 1, profileImageUrl: 1, ratingAverage: 1, ratingCount: 1, tradeScore: 1, geo: 1, wishlist: 1, blockedUserIds: 1 };
+const MATCH_ITEM_FIELDS = { id: 1, name: 1, description: 1, category: 1, condition: 1, images: 1, ownerId: 1 };
+
+// Runs a candidate query capped at MATCH_CANDIDATE_LIMIT, nearest first when the caller has a
+// location so the cap drops the farthest candidates, else by fallbackSort
+const findMatchCandidates = (Model, { key, query, center, radiusKm, projection, fallbackSort }) => {
+  if (!center) {
+    return Model.find(query, projection).sort(fallbackSort).limit(MATCH_CANDIDATE_LIMIT).lean();
+  }
+  return Model.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [center.longitude, center.latitude] },
+        key,
+        distanceField: 'candidateDistanceMeters',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query
+      }
+    },
+    { $limit: MATCH_CANDIDATE_LIMIT },
+    { $project: projection }
+  ]);
+};
+
+const findSwapMatches = async (caller, { radiusKm, limit }) => {
+  const myItems = await Item.find({ ownerId: caller.id, ...LISTED_ITEM_FILTER }, MATCH_ITEM_FIELDS).lean();
+  if (!myItems.length || !hasWishlist(caller.wishlist)) {
+    return { mutual: [], cycles: [] };
+  }
+
+  const center = caller.geo?.coordinates?.length ? fromGeoPoint(caller.geo) : null;
+
+  // Items the caller wants, and traders who want one of the caller's items: by category, or
+  // by a keyword found in the text of the caller's listings (the same test as wishlistWantsItem)
+  const myCategories = [...new Set(myItems.map((item) => String(item.category).toLowerCase()))];
+  const myItemsText = myItems.map((item) => `${item.name} ${item.description}`.toLowerCase()).join('\n');
+  const excludedUserIds = [caller.id, ...await getBlockedUserIds(caller.id)];
+  const [wantedItems, candidateWanters] = await Promise.all([
+    findMatchCandidates(Item, {
+      key: 'location',
+      query: { ...wishlistItemFilter(caller.wishlist), ownerId: { $nin: excludedUserIds }, ...LISTED_ITEM_FILTER },
+      center,
+      radiusKm,
+      projection: MATCH_ITEM_FIELDS,
+      fallbackSort: { createdAt: -1 }
+    }),
+    findMatchCandidates(User, {
+      key: 'geo',
+      query: {
+        id: { $nin: excludedUserIds },
+        $or: [
+          { 'wishlist.categories': { $in: myCategories } },
+          {
+            $expr: {
+              $anyElementTrue: [{
+                $map: {
+                  input: { $ifNull: ['$wishlist.keywords', []] },
+                  as: 'keyword',
+                  in: { $gte: [{ $indexOfCP: [{ $literal: myItemsText }, '$$keyword'] }, 0] }
+                }
+              }]
+            }
+          }
+        ]
+      },
+      center,
+      radiusKm,
+      projection: MATCH_USER_FIELDS,
+      fallbackSort: { lastActive: -1 }
+    })
+  ]);
+
+  const wantsOfMine = new Map();
+  for (const user of candidateWanters) {
+    const wanted = myItems.filter((item) => wishlistWantsItem(user.wishlist, item));
+    if (wanted.length) {
+      wantsOfMine.set(user.id, { user, wanted });
+    }
+  }
+
+  const owners = await User.find({ id: { $in: [...new Set(wantedItems.map((item) => item.ownerId))] } }, MATCH_USER_FIELDS).lean();
+  const ownersById = new Map(owners.map((owner) => [owner.id, owner]));
+
+  const mutual = [];
+  for (const item of wantedItems) {
+    const wanter = wantsOfMine.get(item.ownerId);
+    if (!wanter) {
+      continue;
+    }
+    const distanceKm = getUserDistanceKm(caller, wanter.user);
+    mutual.push({
+      item: toMatchItem(item),
+      owner: toMatchTrader(wanter.user),
+      wantsYourItems: wanter.wanted.map(toMatchItem),
+      distanceKm,
+      score: getMatchScore(distanceKm, getReputationScore(wanter.user))
+    });
+  }
+
+  // Cycles: for each item the caller wants (from B), a trader C who wants the caller's
+  // items and owns something B wants
+  const thirdParties = [...wantsOfMine.values()];
+  const thirdPartyItems = await Item.find({
+    ownerId: { $in: thirdParties.map(({ user }) => user.id) },
+    ...LISTED_ITEM_FILTER
+  }, MATCH_ITEM_FIELDS).limit(MATCH_CANDIDATE_LIMIT).lean();
+
+  const itemsByThirdParty = new Map();
+  for (const item of thirdPartyItems) {
+    itemsByThirdParty.set(item.ownerId, [...(itemsByThirdParty.get(item.ownerId) || []), item]);
+  }
+  const thirdItemFor = new Map(); // "<giverId>:<thirdId>" -> an item of the third trader the giver wants
+
+  const cycles = [];
+  for (const wantedItem of wantedItems) {
+    if (cycles.length >= MATCH_CANDIDATE_LIMIT) {
+      break;
+    }
+    const giver = ownersById.get(wantedItem.ownerId);
+    if (!hasWishlist(giver?.wishlist)) {
+      continue;
+    }
+
+    for (const { user: third, wanted } of thirdParties) {
+      if (cycles.length >= MATCH_CANDIDATE_LIMIT) {
+        break;
+      }
+      if (third.id === giver.id) {
+        continue;
+      }
+      if (third.blockedUserIds?.includes(giver.id) || giver.blockedUserIds?.includes(third.id)) {
+        continue;
+      }
+      const pairKey = `${giver.id}:${third.id}`;
+      if (!thirdItemFor.has(pairKey)) {
+        const items = itemsByThirdParty.get(third.id) || [];
+        thirdItemFor.set(pairKey, items.find((item) => wishlistWantsItem(giver.wishlist, item)) || null);
+      }
+      const thirdItem = thirdItemFor.get(pairKey);
+      if (!thirdItem) {
+        continue;
+      }
+
+      const legKms = [getUserDistanceKm(caller, third), getUserDistanceKm(third, giver), getUserDistanceKm(giver, caller)];
+      const maxLegKm = legKms.includes(null) ? null : Math.max(...legKms);
+      cycles.push({
+        traders: [toMatchTrader(caller), toMatchTrader(third), toMatchTrader(giver)],
+        legs: [
+          { fromUserId: caller.id, toUserId: third.id, item: toMatchItem(wanted[0]) },
+          { fromUserId: third.id, toUserId: giver.id, item: toMatchItem(thirdItem) },
+          { fromUserId: giver.id, toUserId: caller.id, item: toMatchItem(wantedItem) }
+        ],
+        maxLegKm,
+        // A cycle is as reliable as its least trusted trader
+        score: getMatchScore(maxLegKm, Math.min(getReputationScore(third), getReputationScore(giver)))
+      });
+    }
+  }
+
+  const byScore = (a, b) => b.score - a.score;
+  return {
+    mutual: mutual.sort(byScore).slice(0, limit),
+    cycles: cycles.sort(byScore).slice(0, limit)
+  };
+};
+
+// Saved searches
+// Filters mirror GET /api/v1/items. A background job checks every new listing against the
+// saved searches of other users: INSTANT searches queue a push straight away, DAILY searches
+// collect their matches for a digest sent at most once per SAVED_SEARCH_DIGEST_INTERVAL_MS.
+const SAVED_SEARCH_LIMIT = 20; // Per user
+const SAVED_SEARCH_DEFAULT_RADIUS_KM = 25;
+const SAVED_SEARCH_MAX_RADIUS_KM = 500;
+const SAVED_SEARCH_MATCH_CANDIDATE_LIMIT = 1000; // Per listing, for searches with and without a location
+const SAVED_SEARCH_DIGEST_MAX_ITEMS = 50; // Pending matches kept per digest
+
+// Saved search text is checked against the one new listing in memory instead of with a
+// $text query per search. It follows the $text rules of GET /api/v1/items: any term matches,
+// every "quoted phrase" must appear and -terms exclude. Words compare case- and
+// accent-insensitively, ignoring stop words and plural endings.
+const SEARCH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+const normalizeSearchText = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const toSearchWords = (text) => normalizeSearchText(text)
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter((word) => word && !SEARCH_STOP_WORDS.has(word))
+  .map((word) => word.replace(/ies$/, 'y').replace(/([^s])s$/, '$1'));
+
+const buildSearchableItem = (item) => {
+  const text = normalizeSearchText(`${item.name || ''} ${item.description || ''}`);
+  return { text, words: new Set(toSearchWords(text)) };
+};
+
+const matchesSearchText = (search, { text, words }) => {
+  const phrases = [...search.matchAll(/"([^"]*)"/g)].map(([, phrase]) => normalizeSearchText(phrase).trim()).filter(Boolean);
+  const terms = search.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+  const excluded = terms.filter((term) => term.startsWith('-')).flatMap((term) => toSearchWords(term.slice(1)));
+  const included = terms.filter((term) => !term.startsWith('-')).flatMap(toSearchWords);
+
+  if (excluded.some((word) => words.has(word))) {
+    return false;
+  }
+  return phrases.length ? phrases.every((phrase) => text.includes(phrase)) : included.some((word) => words.has(word));
+};
+
+// Saved searches of other users whose filters the item satisfies
+const findMatchingSavedSearches = async (item) => {
+  const query = {
+    userId: { $nin: [item.ownerId, ...await getBlockedUserIds(item.ownerId)] },
+    alertMode: { $ne: 'OFF' },
+    $and: [
+      { $or: [{ categories: { $size: 0 } }, { categories: item.category }] },
+      { $or: [{ conditions: { $size: 0 } }, { conditions: item.condition }] }
+    ]
+  };
+
+  // Searches without a location, and searches whose radius reaches the item, nearest first
+  const hasLocation = Boolean(item.location?.coordinates?.length);
+  const [unscoped, nearby] = await Promise.all([
+    SavedSearch.find({ ...query, near: null }).sort({ createdAt: 1 }).limit(SAVED_SEARCH_MATCH_CANDIDATE_LIMIT).lean(),
+    hasLocation ? SavedSearch.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: item.location.coordinates },
+          key: 'near',
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          maxDistance: SAVED_SEARCH_MAX_RADIUS_KM * 1000,
+          spherical: true,
+          query
+        }
+      },
+      { $match: { $expr: { $lte: ['$distanceKm', '$radiusKm'] } } },
+      { $limit: SAVED_SEARCH_MATCH_CANDIDATE_LIMIT }
+    ]) : []
+  ]);
+  if (unscoped.length === SAVED_SEARCH_MATCH_CANDIDATE_LIMIT || nearby.length === SAVED_SEARCH_MATCH_CANDIDATE_LIMIT) {
+    console.warn(`⚠️ Item ${item.id} reached the saved search candidate limit; some searches were not checked`);
+  }
+
+  const searchable = buildSearchableItem(item);
+  return [...unscoped, ...nearby].filter((savedSearch) => !savedSearch.search || matchesSearchText(savedSearch.search, searchable));
+};
+
+// A user whose several searches match the same listing gets one instant push
+const queueSavedSearchAlerts = async (item) => {
+  const matches = await findMatchingSavedSearches(item);
+  const alertedUserIds = new Set();
+
+  for (const savedSearch of matches) {
+    if (savedSearch.alertMode === 'DAILY') {
+      await SavedSearch.updateOne(
+        { id: savedSearch.id },
+        { $push: { pendingItemIds: { $each: [item.id], $slice: -SAVED_SEARCH_DIGEST_MAX_ITEMS } } }
+      );
+    } else if (!alertedUserIds.has(savedSearch.userId)) {
+      alertedUserIds.add(savedSearch.userId);
+      await enqueueNotification('SAVED_SEARCH_MATCH', savedSearch.userId, {
+        savedSearchId: savedSearch.id,
+        searchName: savedSearch.name,
+        itemId: item.id,
+        itemName: item.name
+      });
+      await SavedSearch.updateOne({ id: savedSearch.id }, { $set: { lastAlertedAt: new Date() } });
+    }
+  }
+};
+
+// Matches listings created since the last sweep, oldest first. A listing is checked once;
+// one that fails is logged and skipped so it cannot hold up the queue.
+const processSavedSearchMatches = async (keepLease = withoutLease) => {
+  for (let processed = 0; processed < SAVED_SEARCH_MATCH_BATCH_SIZE && await keepLease(); processed++) {
+    const item = await Item.findOne({ savedSearchMatchPending: true }).sort({ createdAt: 1 }).lean();
+    if (!item) {
+      return;
+    }
+
+    try {
+      if (item.isAvailable) {
+        await queueSavedSearchAlerts(item);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to queue saved search alerts for item ${item.id}:`, error);
+    }
+    await Item.updateOne({ id: item.id }, { $unset: { savedSearchMatchPending: 1 } });
+  }
+};
+
+// Sends the digests that are due, counting only matches that are still available
+const sendSavedSearchDigests = async (keepLease = withoutLease) => {
+  const dueBefore = new Date(Date.now() - SAVED_SEARCH_DIGEST_INTERVAL_MS);
+  const dueSearches = await SavedSearch.find(
+    { alertMode: 'DAILY', 'pendingItemIds.0': { $exists: true }, lastAlertedAt: { $lte: dueBefore } },
+    { id: 1 }
+  ).limit(SAVED_SEARCH_DIGEST_BATCH_SIZE);
+
+  for (const { id } of dueSearches) {
+    if (!(await keepLease())) {
+      return;
+    }
+    try {
+      await withTransaction(async (session) => {
+        // Matches arriving from here on wait for the next digest
+        const savedSearch = await SavedSearch.findOneAndUpdate(
+          { id, lastAlertedAt: { $lte: dueBefore } },
+          { $set: { pendingItemIds: [], lastAlertedAt: new Date() } },
+          { session }
+        );
+        if (!savedSearch?.pendingItemIds.length) {
+          return;
+        }
+
+        const items = await Item.find({ id: { $in: savedSearch.pendingItemIds }, ...LISTED_ITEM_FILTER }, { id: 1 }).session(session);
+        if (!items.length) {
+          return;
+        }
+        await enqueueNotification('SAVED_SEARCH_DIGEST', savedSearch.userId, {
+          savedSearchId: savedSearch.id,
+          searchName: savedSearch.name,
+          count: items.length
+        }, { session });
+      });
+    } catch (error) {
+      console.error(`❌ Failed to send the digest for saved search ${id}:`, error);
+    }
+  }
+};
+
+// Builds the stored fields of a saved search from validated input
+const buildSavedSearchFields = (input) => {
+  const fields = {};
+  for (const key of ['name', 'search', 'categories', 'conditions', 'alertMode']) {
+    if (input[key] !== undefined) {
+      fields[key] = input[key];
+    }
+  }
+  if (input.near !== undefined) {
+    fields.near = input.near ? toGeoPoint(input.near) : null;
+    fields.radiusKm = input.near ? input.radiusKm ?? SAVED_SEARCH_DEFAULT_RADIUS_KM : null;
+  } else if (input.radiusKm !== undefined) {
+    fields.radiusKm = input.radiusKm;
+  }
+  if (input.alertMode !== undefined && input.alertMode !== 'DAILY') {
+    fields.pendingItemIds = [];
+  }
+  return fields;
+};
+
+// iCalendar export
+// Events keep a stable UID per meetup and carry meetup.sequence as SEQUENCE, so calendar
+// apps replace a rescheduled event and mark a cancelled one instead of adding duplicates
+const MEETUP_EVENT_DURATION_MS = 60 * 60 * 1000;
+const CALENDAR_FEED_WINDOW_MS = 30 * 24 * 60 * 60 * 1000; // Past meetups kept in the feed
+
+const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatIcsDate = (time) => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Folds content lines longer than 75 octets, as RFC 5545 requires
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const character of line) {
+    if (Buffer.byteLength(current + character) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// A meetup on an offer that is no longer live is cancelled for calendar purposes
+const isMeetupEventCancelled = (offer) => {
+  return offer.meetup.status === 'CANCELLED' ||
+    (!['PENDING', 'ACCEPTED'].includes(offer.status) && offer.meetup.status !== 'COMPLETED');
+};
+
+const getMeetupEventUid = (offer) => `meetup-${offer.meetup.id || offer.id}@swoptrader`;
+
+// A counter offer carries over its parent's meetup id, so one meetup can appear on several
+// offers of a negotiation. Only the newest of them is published, keeping UIDs unique.
+const latestOfferPerMeetup = (offers) => {
+  const latest = new Map();
+  for (const offer of offers) {
+    const uid = getMeetupEventUid(offer);
+    if (!latest.has(uid) || new Date(offer.createdAt) > new Date(latest.get(uid).createdAt)) {
+      latest.set(uid, offer);
+    }
+  }
+  return offers.filter((offer) => latest.get(getMeetupEventUid(offer)) === offer);
+};
+
+const buildMeetupEvent = (offer, { otherName, itemName }, now) => {
+  const { meetup } = offer;
+  const cancelled = isMeetupEventCancelled(offer);
+  const status = cancelled ? 'CANCELLED' : meetup.status === 'PROPOSED' ? 'TENTATIVE' : 'CONFIRMED';
+  // Cancelling the offer cancels the event without touching meetup.sequence
+  const sequence = (meetup.sequence || 0) + (cancelled && meetup.status !== 'CANCELLED' ? 1 : 0);
+  const place = [meetup.location?.name, meetup.location?.address].filter(Boolean).join(', ');
+  const description = [
+    `Swap for ${itemName} with ${otherName}`,
+    meetup.status === 'PROPOSED' ? 'Proposed, waiting for both traders to confirm' : null,
+    meetup.notes
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getMeetupEventUid(offer)}`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `LAST-MODIFIED:${formatIcsDate(offer.updatedAt || now)}`,
+    `DTSTART:${formatIcsDate(meetup.scheduledAt)}`,
+    `DTEND:${formatIcsDate(meetup.scheduledAt + MEETUP_EVENT_DURATION_MS)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeIcsText(`${cancelled ? 'Cancelled: ' : ''}SwopTrader meetup with ${otherName}`)}`,
+    place && `LOCATION:${escapeIcsText(place)}`,
+    Number.isFinite(meetup.location?.latitude) && Number.isFinite(meetup.location?.longitude) &&
+      `GEO:${meetup.location.latitude};${meetup.location.longitude}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// Renders offers with a scheduled meetup as a calendar, from the point of view of userId
+const buildMeetupCalendar = async (meetupOffers, userId, calendarName) => {
+  const now = Date.now();
+  const offers = latestOfferPerMeetup(meetupOffers);
+  const otherIds = offers.map((offer) => (offer.fromUserId === userId ? offer.toUserId : offer.fromUserId));
+  const [nameOf, items] = await Promise.all([
+    getUserNames(otherIds),
+    Item.find({ id: { $in: offers.map((offer) => offer.requestedItemId) } }, { id: 1, name: 1 }).lean()
+  ]);
+  const itemNames = new Map(items.map((item) => [item.id, item.name]));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SwopTrader//Meetups//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    ...offers.flatMap((offer, index) => buildMeetupEvent(offer, {
+      otherName: nameOf(otherIds[index]),
+      itemName: itemNames.get(offer.requestedItemId) || 'an item'
+    }, now)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, no-cache'
+  });
+  res.send(calendar);
+};
+
+// Calendar apps cannot send Firebase tokens, so feeds are read with a per-user secret
+// passed as ?token=. Only its hash is stored.
+const hashCalendarFeedToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const isValidCalendarFeedToken = async (userId, token) => {
+  const user = await User.findOne({ id: userId }).select('+calendarFeedTokenHash');
+  if (!user?.calendarFeedTokenHash) {
+    return false;
+  }
+  const expected = Buffer.from(user.calendarFeedTokenHash, 'hex');
+  const actual = Buffer.from(hashCalendarFeedToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const getPublicBaseUrl = (req) => {
+  return (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+};
+
+const buildCalendarFeedUrl = (req, userId, token) => {
+  return `${getPublicBaseUrl(req)}/api/v1/users/${encodeURIComponent(userId)}/meetups.ics?token=${token}`;
+};
+
+// Image storage
+// Adapters keep image bytes under a key with put(key, buffer, contentType) and remove(key),
+// and give the public URL of a key with urlFor(key, req). The local-disk adapter writes to
+// IMAGE_UPLOAD_DIR, served under /uploads, and suits development and tests; an object store
+// can implement the same contract for scaled deployments.
+const createLocalImageStorage = (directory) => ({
+  put: async (key, buffer) => {
+    const filePath = path.join(directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  },
+  remove: (key) => fs.rm(path.join(directory, key), { force: true }),
+  urlFor: (key, req) => `${getPublicBaseUrl(req)}/uploads/${key}`
+});
+
+const imageStorage = createLocalImageStorage(IMAGE_UPLOAD_DIR);
+
+// Cursor pagination
+// Cursors are opaque to clients: base64url JSON holding the sort timestamp and id of a row
+const encodeCursor = (timestamp, id) => {
+  return Buffer.from(JSON.stringify({ t: new Date(timestamp).getTime(), id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || typeof id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    return { timestamp: new Date(t), id };
+  } catch (error) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+};
+
+// Keyset condition for rows after the cursor when sorting by (field, id) in the given direction
+const cursorQuery = (field, cursor, direction = -1) => {
+  const operator = direction < 0 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [operator]: cursor.timestamp } },
+      { [field]: cursor.timestamp, id: { [operator]: cursor.id } }
+    ]
+  };
+};
+
+// Item search
+const ITEM_SORTS = {
+  newest: { createdAt: -1, id: -1 },
+  relevance: { score: -1, createdAt: -1, _id: -1 },
+  distance: { distanceKm: 1, _id: 1 }
+};
+
+// Accepts repeated (?category=a&category=b) or comma-separated (?category=a,b) values
+const parseListParam = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+const parsePagination = (query, defaultLimit = 20) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100)
+});
+
+// Builds one aggregation returning the page of items, the total and facet counts.
+// Each facet ignores its own filter so the app can show counts for the other choices.
+const buildItemSearchPipeline = ({ baseQuery, search, center, radiusKm, categories, conditions, sort, cursorFilter = {}, skip, limit }) => {
+  const pipeline = [];
+
+  if (search) {
+    pipeline.push({
+      $match: {
+        ...baseQuery,
+        $text: { $search: search },
+        ...(center && { location: withinRadiusQuery(center, radiusKm) })
+      }
+    });
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    if (center) {
+      pipeline.push({ $addFields: { distanceKm: distanceKmExpression(center) } });
+    }
+  } else if (center) {
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: [center.longitude, center.latitude] },
+        key: 'location',
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001,
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: baseQuery
+      }
+    });
+  } else {
+    pipeline.push({ $match: baseQuery });
+  }
+
+  const categoryFilter = categories.length ? { category: { $in: categories } } : {};
+  const conditionFilter = conditions.length ? { condition: { $in: conditions } } : {};
+  const facetCounts = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ];
+
+  pipeline.push({
+    $facet: {
+      data: [
+        { $match: { ...categoryFilter, ...conditionFilter, ...cursorFilter } },
+        { $sort: ITEM_SORTS[sort] },
+        { $skip: skip },
+        { $limit: limit },
+        ...(center ? [{ $addFields: { distanceKm: { $round: ['$distanceKm', 2] } } }] : [])
+      ],
+      total: [
+        { $match: { ...categoryFilter, ...conditionFilter } },
+        { $count: 'count' }
+      ],
+      category: [{ $match: conditionFilter }, ...facetCounts('category')],
+      condition: [{ $match: categoryFilter }, ...facetCounts('condition')]
+    }
+  });
+
+  return pipeline;
+};
+
+// Leaderboards
+const LEADERBOARD_METRICS = ['tradeScore', 'level', 'carbonSaved'];
+const LEADERBOARD_WINDOWS = ['all', 'monthly', 'weekly'];
+
+// Windows follow calendar periods in UTC: weeks start on Monday
+const getLeaderboardWindowStart = (window, now = new Date()) => {
+  if (window === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  if (window === 'weekly') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday));
+  }
+  return null;
+};
+
+// Standard competition ranking: tied values share the better rank
+const rankLeaderboardEntries = (rows) => {
+  let previous = null;
+  return rows.map((row, index) => {
+    const rank = previous && previous.value === row.value ? previous.rank : index + 1;
+    previous = { ...row, rank };
+    return previous;
+  });
+};
+
+const toLeaderboardEntry = (user, value) => ({
+  userId: user.id,
+  name: user.name,
+  profileImageUrl: user.profileImageUrl,
+  level: user.level,
+  value
+});
+
+const getAllTimeLeaderboard = async ({ metric, limit, userId, scopeFilter }) => {
+  const users = await User.find(scopeFilter, { id: 1, name: 1, profileImageUrl: 1, level: 1, [metric]: 1 })
+    .sort({ [metric]: -1, id: 1 })
+    .limit(limit);
+  const entries = rankLeaderboardEntries(users.map((user) => toLeaderboardEntry(user, user[metric] || 0)));
+
+  const me = await User.findOne({ ...scopeFilter, id: userId }, { [metric]: 1 });
+  if (!me) {
+    return { entries, me: null };
+  }
+
+  const value = me[metric] || 0;
+  const ahead = await User.countDocuments({ ...scopeFilter, [metric]: { $gt: value } });
+  return { entries, me: { rank: ahead + 1, value } };
+};
+
+// Sums per-trader stats from trades completed in the window; trades recorded
+// before participantStats existed credit their totals to every participant
+const getWindowedLeaderboard = async ({ metric, limit, userId, scopeFilter, windowStart }) => {
+  const userScope = Object.entries(scopeFilter).reduce((acc, [key, value]) => {
+    acc[`user.${key}`] = value;
+    return acc;
+  }, {});
+
+  const basePipeline = [
+    { $match: { completedAt: { $gte: windowStart } } },
+    {
+      $project: {
+        stats: {
+          $ifNull: [
+            '$participantStats',
+            {
+              $map: {
+                input: '$participantIds',
+                as: 'participantId',
+                in: { userId: '$$participantId', carbonSaved: '$carbonSaved', tradeScoreEarned: '$tradeScoreEarned' }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$stats' },
+    {
+      $group: {
+        _id: '$stats.userId',
+        value: { $sum: metric === 'tradeScore' ? '$stats.tradeScoreEarned' : '$stats.carbonSaved' }
+      }
+    },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: 'id', as: 'user' } },
+    { $unwind: '$user' },
+    { $match: userScope }
+  ];
+
+  const [result] = await TradeHistory.aggregate([
+    ...basePipeline,
+    {
+      $facet: {
+        top: [{ $sort: { value: -1, _id: 1 } }, { $limit: limit }],
+        me: [{ $match: { _id: userId } }]
+      }
+    }
+  ]);
+
+  const entries = rankLeaderboardEntries(result.top.map((row) => toLeaderboardEntry(row.user, row.value)));
+  const mine = result.me[0];
+  if (!mine) {
+    return { entries, me: null };
+  }
+
+  const [ahead] = await TradeHistory.aggregate([
+    ...basePipeline,
+    { $match: { value: { $gt: mine.value } } },
+    { $count: 'count' }
+  ]);
+  return { entries, me: { rank: (ahead?.count || 0) + 1, value: mine.value } };
+};
+
+// Trade completion scoring
+// Estimated kg CO2e avoided when an item is reused instead of bought new
+const CARBON_SAVED_BY_CATEGORY = {
+  electronics: 45,
+  appliances: 60,
+  furniture: 50,
+  clothing: 10,
+  shoes: 12,
+  books: 3,
+  toys: 6,
+  sports: 15,
+  tools: 20,
+  home: 15,
+  garden: 10,
+  baby: 8,
+  music: 20,
+  vehicles: 150
+};
+const DEFAULT_CARBON_SAVED = 5;
+const TRADE_SCORE_BASE = 10;
+const TRADE_SCORE_PER_ITEM = 5;
+const TRADE_SCORE_PER_CARBON_KG = 0.2;
+const TRADE_SCORE_PER_LEVEL = 100;
+
+const getCarbonSaved = (category) => {
+  return CARBON_SAVED_BY_CATEGORY[String(category || '').trim().toLowerCase()] ?? DEFAULT_CARBON_SAVED;
+};
+
+// Each trader is credited with the carbon saved by the items they received;
+// both earn the same trade score, which grows with items and carbon traded
+const calculateTradeStats = (offer, items) => {
+  const totalCarbonSaved = items.reduce((sum, item) => sum + getCarbonSaved(item.category), 0);
+  const tradeScoreEarned = Math.round(
+    TRADE_SCORE_BASE + items.length * TRADE_SCORE_PER_ITEM + totalCarbonSaved * TRADE_SCORE_PER_CARBON_KG
+  );
+
+  const participantStats = [offer.fromUserId, offer.toUserId].map((userId) => ({
+    userId,
+    carbonSaved: items
+      .filter((item) => item.ownerId !== userId)
+      .reduce((sum, item) => sum + getCarbonSaved(item.category), 0),
+    tradeScoreEarned
+  }));
+
+  return { totalCarbonSaved, tradeScoreEarned, participantStats };
+};
+
+// Adds trade stats to a user and recomputes their level in the same update
+const creditUserTradeStats = async ({ userId, carbonSaved, tradeScoreEarned }, session) => {
+  const result = await User.updateOne(
+    { id: userId },
+    [
+      {
+        $set: {
+          tradeScore: { $add: [{ $ifNull: ['$tradeScore', 0] }, tradeScoreEarned] },
+          carbonSaved: { $add: [{ $ifNull: ['$carbonSaved', 0] }, carbonSaved] },
+          updatedAt: '$$NOW'
+        }
+      },
+      {
+        $set: {
+          level: { $add: [{ $floor: { $divide: ['$tradeScore', TRADE_SCORE_PER_LEVEL] } }, 1] }
+        }
+      }
+    ],
+    { session }
+  );
+
+  if (!result.matchedCount) {
+    throw new ApiError(409, `User ${userId} no longer exists`);
+  }
+};
+
+const completeTrade = (offerId, userId) => withTransaction(async (session) => {
+  const offer = await Offer.findOne({ id: offerId }).session(session);
+  if (!offer) {
+    throw new ApiError(404, 'Offer not found');
+  }
+  if (!isOfferParticipant(offer, userId)) {
+    throw new ApiError(403, 'You do not have access to this resource');
+  }
+  if (!canTransitionOffer(offer.status, 'COMPLETED')) {
+    throw new ApiError(409, 'Only accepted offers can be completed');
+  }
+  if (offer.meetup?.status !== 'COMPLETED') {
+    throw new ApiError(409, 'The meetup must be completed before the trade');
+  }
+
+  // Claiming the offer first makes concurrent completions conflict instead of double-counting
+  const tradeId = crypto.randomUUID();
+  const claimed = await Offer.updateOne(
+    { id: offer.id, status: 'ACCEPTED', tradeId: { $exists: false } },
+    { status: 'COMPLETED', tradeId, updatedAt: new Date() },
+    { session }
+  );
+  if (!claimed.modifiedCount) {
+    throw new ApiError(409, 'This trade has already been completed');
+  }
+
+  const itemIds = getOfferItemIds(offer);
+  const items = await Item.find({ id: { $in: itemIds } }).session(session);
+  if (items.length !== new Set(itemIds).size) {
+    throw new ApiError(409, 'One or more items in this offer no longer exist');
+  }
+
+  const { totalCarbonSaved, tradeScoreEarned, participantStats } = calculateTradeStats(offer, items);
+  const [trade] = await TradeHistory.create([{
+    id: tradeId,
+    offerId: offer.id,
+    participantIds: [offer.fromUserId, offer.toUserId],
+    itemsTraded: items.map((item) => ({
+      itemId: item.id,
+      userId: item.ownerId,
+      itemName: item.name,
+      itemImage: item.images?.[0]
+    })),
+    completedAt: new Date(),
+    meetupId: offer.meetup.id,
+    carbonSaved: totalCarbonSaved,
+    tradeScoreEarned,
+    participantStats
+  }], { session });
+
+  for (const stats of participantStats) {
+    await creditUserTradeStats(stats, session);
+  }
+
+  await notifyTradeCompleted(trade, session);
+  return trade;
+});
+
+// Trade ratings
+// Adjusts the running rating totals of a user and recomputes their average
+const applyUserRatingChange = async (userId, totalDelta, countDelta, session) => {
+  await User.updateOne(
+    { id: userId },
+    [
+      {
+        $set: {
+          ratingTotal: { $add: [{ $ifNull: ['$ratingTotal', 0] }, totalDelta] },
+          ratingCount: { $add: [{ $ifNull: ['$ratingCount', 0] }, countDelta] }
+        }
+      },
+      {
+        $set: {
+          ratingAverage: {
+            $cond: [
+              { $gt: ['$ratingCount', 0] },
+              { $round: [{ $divide: ['$ratingTotal', '$ratingCount'] }, 2] },
+              0
+            ]
+          }
+        }
+      }
+    ],
+    { session }
+  );
+};
+
+const findTradeForRater = async (tradeId, raterId, session) => {
+  const trade = await TradeHistory.findOne({ id: tradeId }).session(session);
+  if (!trade) {
+    throw new ApiError(404, 'Trade not found');
+  }
+  if (!trade.participantIds.includes(raterId)) {
+    throw new ApiError(403, 'Only participants of a trade can rate it');
+  }
+  return trade;
+};
+
+const rateTrade = (tradeId, raterId, { rating, comment }) => withTransaction(async (session) => {
+  const trade = await findTradeForRater(tradeId, raterId, session);
+  const rateeId = trade.participantIds.find((participantId) => participantId !== raterId);
+  if (!rateeId) {
+    throw new ApiError(409, 'This trade has no other participant to rate');
+  }
+
+  const now = new Date();
+  const entry = { raterId, rateeId, rating, comment, ratedAt: now, updatedAt: now };
+  const result = await TradeHistory.updateOne(
+    { id: tradeId, 'ratings.raterId': { $ne: raterId } },
+    { $push: { ratings: entry } },
+    { session }
+  );
+  if (!result.modifiedCount) {
+    throw new ApiError(409, 'You have already rated this trade');
+  }
+
+  await applyUserRatingChange(rateeId, rating, 1, session);
+  return entry;
+});
+
+const updateTradeRating = (tradeId, raterId, { rating, comment }) => withTransaction(async (session) => {
+  const trade = await findTradeForRater(tradeId, raterId, session);
+  const existing = trade.ratings.find((entry) => entry.raterId === raterId);
+  if (!existing) {
+    throw new ApiError(404, 'You have not rated this trade yet');
+  }
+  if (Date.now() - existing.ratedAt.getTime() > RATING_EDIT_WINDOW_MS) {
+    throw new ApiError(409, 'The edit window for this rating has closed');
+  }
+
+  const previousRating = existing.rating;
+  existing.rating = rating;
+  if (comment !== undefined) {
+    existing.comment = comment;
+  }
+  existing.updatedAt = new Date();
+  await trade.save({ session });
+
+  await applyUserRatingChange(existing.rateeId, rating - previousRating, 0, session);
+  return existing;
+});
+
+// Image uploads
+// Uploads are decoded, turned upright from their EXIF orientation and re-encoded, which drops
+// EXIF (including GPS), XMP and ICC metadata. Each upload is stored full-size and as a thumbnail.
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+const IMAGE_CONTENT_TYPES = Object.values(IMAGE_FORMATS).map((format) => format.contentType);
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_UPLOAD_MAX_BYTES, files: ITEM_MAX_IMAGES },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_CONTENT_TYPES.includes(file.mimetype)) {
+      return callback(new ValidationError(415, 'Images must be JPEG, PNG or WebP', [
+        { field: file.fieldname, message: `${file.mimetype} is not a supported image type` }
+      ]));
+    }
+    callback(null, true);
+  }
+});
+
+// Parses up to maxCount multipart files from field into req.files
+const acceptImages = (field, maxCount) => {
+  const parse = imageUpload.array(field, maxCount);
+  return (req, res, next) => parse(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return handleRouteError(res, new ValidationError(tooLarge ? 413 : 400, 'Invalid image upload', [{
+        field: error.field || field,
+        message: tooLarge
+          ? `must be at most ${IMAGE_UPLOAD_MAX_BYTES / (1024 * 1024)} MB`
+          : `accepts at most ${maxCount} image${maxCount === 1 ? '' : 's'} (${error.message})`
+      }]));
+    }
+    handleRouteError(res, error);
+  });
+};
+
+const requireUploadedFiles = (req, field) => {
+  if (!req.files?.length) {
+    throw new ValidationError(400, 'No image uploaded', [{ field, message: 'must contain at least one image file' }]);
+  }
+};
+
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ValidationError(422, 'Invalid image upload', [{ field: 'image', message: 'could not be read as an image' }]);
+  }
+
+  // The declared MIME type is only a hint; the decoded format decides
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    throw new ValidationError(415, 'Images must be JPEG, PNG or WebP', [
+      { field: 'image', message: `${metadata.format} images are not supported` }
+    ]);
+  }
+
+  const render = (dimension) => sharp(buffer, { limitInputPixels: IMAGE_MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width: dimension, height: dimension, fit: 'inside', withoutEnlargement: true })
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+
+  try {
+    const [image, thumbnail] = await Promise.all([render(IMAGE_MAX_DIMENSION), render(IMAGE_THUMBNAIL_DIMENSION)]);
+    return { format, image, thumbnail };
+  } catch (error) {
+    throw new ValidationError(422, 'Invalid image upload', [{ field: 'image', message: 'could not be processed' }]);
+  }
+};
+
+// Processes an uploaded file and stores both renditions under a fresh id
+const storeImage = async (file, { ownerId, purpose, itemId }, req) => {
+  const { format, image, thumbnail } = await processImage(file.buffer);
+  const id = crypto.randomUUID();
+  const folder = purpose.toLowerCase();
+  const key = `${folder}/${id}.${format.extension}`;
+  const thumbnailKey = `${folder}/${id}-thumb.${format.extension}`;
+
+  try {
+    await imageStorage.put(key, image.data, format.contentType);
+    await imageStorage.put(thumbnailKey, thumbnail.data, format.contentType);
+    return await Image.create({
+      id,
+      ownerId,
+      purpose,
+      itemId,
+      key,
+      thumbnailKey,
+      url: imageStorage.urlFor(key, req),
+      thumbnailUrl: imageStorage.urlFor(thumbnailKey, req),
+      contentType: format.contentType,
+      width: image.info.width,
+      height: image.info.height,
+      size: image.info.size
+    });
+  } catch (error) {
+    await Promise.all([imageStorage.remove(key), imageStorage.remove(thumbnailKey)]).catch(() => {});
+    throw error;
+  }
+};
+
+// Deletes the files and records of every upload matching filter. Uploads whose files could
+// not be removed keep their record so a later cleanup can retry them.
+const removeStoredImages = async (filter) => {
+  const images = await Image.find(filter, { id: 1, key: 1, thumbnailKey: 1 });
+  const removedIds = [];
+  for (const image of images) {
+    try {
+      await imageStorage.remove(image.key);
+      await imageStorage.remove(image.thumbnailKey);
+      removedIds.push(image.id);
+    } catch (error) {
+      console.error(`❌ Failed to remove image ${image.id} from storage:`, error);
+    }
+  }
+
+  if (removedIds.length) {
+    await Image.deleteMany({ id: { $in: removedIds } });
+  }
+  return removedIds.length;
+};
+
+const toUploadedImage = (image) => ({
+  imageId: image.id,
+  url: image.url,
+  thumbnailUrl: image.thumbnailUrl,
+  width: image.width,
+  height: image.height
+});
+
+// Realtime fan-out
+// Adapters deliver events published on a channel ("chat:<chatId>", "user:<userId>")
+// to every subscriber. The in-memory adapter covers a single instance; a shared
+// broker can implement the same publish/subscribe contract for scaled deployments.
+const createInMemoryRealtimeAdapter = () => {
+  const channels = new Map();
+
+  return {
+    publish: async (channel, event) => {
+      (channels.get(channel) || new Set()).forEach((handler) => handler(event));
+    },
+    subscribe: (channel, handler) => {
+      if (!channels.has(channel)) {
+        channels.set(channel, new Set());
+      }
+      channels.get(channel).add(handler);
+
+      return () => {
+        const handlers = channels.get(channel);
+        handlers?.delete(handler);
+        if (handlers && !handlers.size) {
+          channels.delete(channel);
+        }
+      };
+    }
+  };
+};
+
+const realtimeAdapter = createInMemoryRealtimeAdapter();
+
+const publishRealtimeEvent = (channel, event) => {
+  realtimeAdapter.publish(channel, { ...event, sentAt: new Date().toISOString() }).catch((error) => {
+    console.error(`❌ Failed to publish realtime event to ${channel}:`, error);
+  });
+};
+
+const chatChannel = (chatId) => `chat:${chatId}`;
+const userChannel = (userId) => `user:${userId}`;
+
+// Marks the messages the user received in a chat, up to and including
+// upToMessageId, as read and tells the other participants
+const markChatRead = async (chatId, userId, upToMessageId) => {
+  const chat = await Chat.findOne({ id: chatId }, { participantIds: 1 });
+  if (!chat) {
+    throw new ApiError(404, 'Chat not found');
+  }
+  if (!chat.participantIds.includes(userId)) {
+    throw new ApiError(403, 'You do not have access to this resource');
+  }
+
+  const upToMessage = await ChatMessage.findOne({ id: upToMessageId, chatId }, { id: 1, timestamp: 1 });
+  if (!upToMessage) {
+    throw new ApiError(404, 'Message not found');
+  }
+
+  const readAt = new Date();
+  const result = await ChatMessage.updateMany(
+    {
+      chatId,
+      senderId: { $ne: userId },
+      isRead: false,
+      $or: [
+        { timestamp: { $lt: upToMessage.timestamp } },
+        { timestamp: upToMessage.timestamp, id: { $lte: upToMessage.id } }
+      ]
+    },
+    { isRead: true, readAt }
+  );
+
+  if (result.modifiedCount) {
+    publishRealtimeEvent(chatChannel(chatId), {
+      type: 'chat.read',
+      chatId,
+      data: { userId, upToMessageId, readAt }
+    });
+  }
+
+  return { chatId, upToMessageId, readAt, markedCount: result.modifiedCount };
+};
+
+// Unread messages per chat for a user
+const countUnreadByChat = async (chatIds, userId) => {
+  const counts = await ChatMessage.aggregate([
+    { $match: { chatId: { $in: chatIds }, isRead: false, senderId: { $ne: userId } } },
+    { $group: { _id: '$chatId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map((row) => [row._id, row.count]));
+};
+
+const LAST_MESSAGE_PREVIEW_LENGTH = 100;
+
+const getLastMessagesByChat = async (chatIds) => {
+  const rows = await ChatMessage.aggregate([
+    { $match: { chatId: { $in: chatIds } } },
+    { $sort: { chatId: 1, timestamp: -1, id: -1 } },
+    { $group: { _id: '$chatId', message: { $first: '$$ROOT' } } }
+  ]);
+
+  return new Map(rows.map(({ _id, message }) => [_id, {
+    id: message.id,
+    senderId: message.senderId,
+    type: message.type,
+    message: message.type === 'TEXT'
+      ? message.message.substring(0, LAST_MESSAGE_PREVIEW_LENGTH)
+      : message.message,
+    timestamp: message.timestamp,
+    isRead: message.isRead
+  }]));
+};
+
+// Device registry
+// Every FCM token belongs to one Device; the user's fcmTokens mirrors the tokens of their devices
+// Devices registered before the app sent a device id are keyed by their token
+const legacyDeviceId = (token) => `legacy-${crypto.createHash('sha256').update(token).digest('hex').slice(0, 32)}`;
+
+const detachDeviceTokens = async (devices, session) => {
+  for (const device of devices) {
+    await User.updateOne(
+      { id: device.userId },
+      { $pull: { fcmTokens: device.token }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+  }
+};
+
+// Upserts the device and makes token its only token. The token is taken away from any
+// other install or account that held it, and the device's previous token is dropped.
+const registerDevice = ({ userId, deviceId, token, platform, appVersion }) => withTransaction(async (session) => {
+  const now = new Date();
+  const previous = await Device.find({ $or: [{ deviceId }, { token }] }).session(session);
+  await detachDeviceTokens(previous.filter((device) => device.token !== token || device.userId !== userId), session);
+  await Device.deleteMany({ token, deviceId: { $ne: deviceId } }, { session });
+
+  const fields = { userId, token, lastSeenAt: now, updatedAt: now };
+  if (platform !== undefined) fields.platform = platform;
+  if (appVersion !== undefined) fields.appVersion = appVersion;
+  const device = await Device.findOneAndUpdate(
+    { deviceId },
+    { $set: fields, $setOnInsert: { createdAt: now } },
+    { upsert: true, new: true, session }
+  );
+
+  const user = await User.findOneAndUpdate(
+    { id: userId },
+    { $addToSet: { fcmTokens: token }, $set: { updatedAt: now, lastActive: now } },
+    { new: true, session }
+  );
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  return { device, user };
+});
+
+// Removes the caller's device (by deviceId or token) and its token, e.g. on logout
+const unregisterDevice = (userId, { deviceId, token }) => withTransaction(async (session) => {
+  const filter = deviceId ? { userId, deviceId } : { userId, token };
+  const devices = await Device.find(filter).session(session);
+  await Device.deleteMany(filter, { session });
+
+  // Tokens registered before the registry existed may have no device
+  const tokens = [...new Set([...devices.map((device) => device.token), token].filter(Boolean))];
+  if (tokens.length) {
+    await User.updateOne(
+      { id: userId },
+      { $pull: { fcmTokens: { $in: tokens } }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+  }
+
+  return devices.length;
+});
+
+// Background jobs
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const scheduledJobTimers = [];
+
+// Takes (or renews) the named lease; false when another instance holds it
+const acquireJobLease = async (name, ttlMs) => {
+  const now = new Date();
+  try {
+    await JobLease.findOneAndUpdate(
+      { _id: name, $or: [{ leasedUntil: { $lte: now } }, { owner: INSTANCE_ID }] },
+      { owner: INSTANCE_ID, leasedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the existing lease document while another instance holds it
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const releaseJobLease = (name) => JobLease.updateOne(
+  { _id: name, owner: INSTANCE_ID },
+  { leasedUntil: new Date(0) }
+);
+
+// Jobs take a keepLease callback and call it between batches: it renews the lease (at most
+// every quarter of its TTL) and returns false once another instance has taken the lease over,
+// at which point the job stops. Jobs run outside the scheduler keep no lease.
+const withoutLease = async () => true;
+
+// Runs job every intervalMs on whichever instance holds its lease
+const scheduleJob = (name, intervalMs, job) => {
+  const leaseTtlMs = Math.max(intervalMs * 2, 60 * 1000);
+  let running = false;
+
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    running = true;
+    try {
+      if (await acquireJobLease(name, leaseTtlMs)) {
+        let renewedAt = Date.now();
+        const keepLease = async () => {
+          if (Date.now() - renewedAt < leaseTtlMs / 4) {
+            return true;
+          }
+          if (!(await acquireJobLease(name, leaseTtlMs))) {
+            console.warn(`⚠️ Scheduled job ${name} lost its lease and stopped`);
+            return false;
+          }
+          renewedAt = Date.now();
+          return true;
+        };
+
+        try {
+          await job(keepLease);
+        } finally {
+          await releaseJobLease(name);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Scheduled job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  scheduledJobTimers.push(setInterval(tick, intervalMs));
+};
+
+const stopScheduledJobs = () => {
+  scheduledJobTimers.splice(0).forEach(clearInterval);
+};
+
+// Moves overdue PENDING offers to EXPIRED in bounded batches
+const expireDueOffers = async (keepLease = withoutLease) => {
+  let expiredCount = 0;
+
+  for (let batch = 0; batch < OFFER_EXPIRY_MAX_BATCHES && await keepLease(); batch++) {
+    const dueOffers = await Offer.find({ status: 'PENDING', expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(OFFER_EXPIRY_BATCH_SIZE);
+
+    for (const offer of dueOffers) {
+      const expired = await withTransaction(async (session) => {
+        const result = await Offer.updateOne(
+          { id: offer.id, status: 'PENDING' },
+          { status: 'EXPIRED', updatedAt: new Date() },
+          { session }
+        );
+        if (result.modifiedCount) {
+          await notifyOfferStatusChange({ offer, status: 'EXPIRED' }, session);
+        }
+        return result.modifiedCount > 0;
+      });
+      if (expired) {
+        expiredCount++;
+      }
+    }
+
+    if (dueOffers.length < OFFER_EXPIRY_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (expiredCount) {
+    console.log(`⏰ Expired ${expiredCount} offer(s)`);
+  }
+};
+
+// Reminds both traders of accepted meetups starting within the hour
+const sendMeetupReminders = async (keepLease = withoutLease) => {
+  const now = Date.now();
+  const dueOffers = await Offer.find({
+    status: 'ACCEPTED',
+    'meetup.status': 'PENDING',
+    'meetup.scheduledAt': { $gt: now, $lte: now + MEETUP_REMINDER_LEAD_MS },
+    'meetup.reminderSentAt': { $exists: false }
+  }).limit(100);
+
+  for (const offer of dueOffers) {
+    if (!(await keepLease())) {
+      return;
+    }
+    const nameOf = await getUserNames([offer.fromUserId, offer.toUserId]);
+    await withTransaction(async (session) => {
+      const claimed = await Offer.updateOne(
+        { id: offer.id, 'meetup.scheduledAt': offer.meetup.scheduledAt, 'meetup.reminderSentAt': { $exists: false } },
+        { $set: { 'meetup.reminderSentAt': now } },
+        { session }
+      );
+      if (!claimed.modifiedCount) {
+        return;
+      }
+
+      for (const userId of [offer.fromUserId, offer.toUserId]) {
+        await enqueueNotification('MEETUP_REMINDER', userId, {
+          offerId: offer.id,
+          otherName: nameOf(userId === offer.fromUserId ? offer.toUserId : offer.fromUserId),
+          locationName: offer.meetup.location?.name,
+          scheduledAt: offer.meetup.scheduledAt
+        }, { session });
+      }
+    });
+  }
+};
+
+// Drops devices that have not checked in for DEVICE_STALE_MS along with their tokens
+const pruneStaleDevices = async (keepLease = withoutLease) => {
+  const cutoff = new Date(Date.now() - DEVICE_STALE_MS);
+  const staleDevices = await Device.find({ lastSeenAt: { $lt: cutoff } }, { deviceId: 1 }).limit(1000).lean();
+
+  let prunedCount = 0;
+  for (const { deviceId } of staleDevices) {
+    if (!(await keepLease())) {
+      break;
+    }
+    // Re-check lastSeenAt so a device that registered meanwhile is kept
+    const device = await Device.findOneAndDelete({ deviceId, lastSeenAt: { $lt: cutoff } });
+    if (device) {
+      await detachDeviceTokens([device]);
+      prunedCount++;
+    }
+  }
+
+  if (prunedCount) {
+    console.log(`📱 Pruned ${prunedCount} stale device(s)`);
+  }
+};
+
+// Gives offers created before expiresAt existed the default lifetime
+const backfillOfferExpiry = async () => {
+  try {
+    await Offer.updateMany(
+      { status: 'PENDING', expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: ['$createdAt', OFFER_TTL_MS] } } }]
+    );
+  } catch (error) {
+    console.error('❌ Error backfilling offer expiry:', error);
+  }
+};
+
+// Derives geo points for users saved before the field existed
+const backfillUserGeo = async () => {
+  try {
+    await User.updateMany(
+      {
+        geo: { $exists: false },
+        'location.latitude': { $type: 'number', $gte: -90, $lte: 90 },
+        'location.longitude': { $type: 'number', $gte: -180, $lte: 180 }
+      },
+      [{ $set: { geo: { type: 'Point', coordinates: ['$location.longitude', '$location.latitude'] } } }]
+    );
+  } catch (error) {
+    console.error('❌ Error backfilling user geo points:', error);
+  }
+};
+
+// Places items saved before they had a location at their owner's location
+const backfillItemLocations = async () => {
+  try {
+    await Item.aggregate([
+      { $match: { location: { $exists: false } } },
+      { $lookup: { from: User.collection.name, localField: 'ownerId', foreignField: 'id', as: 'owner' } },
+      { $unwind: '$owner' },
+      { $match: { 'owner.geo': { $exists: true } } },
+      { $project: { location: '$owner.geo' } },
+      { $merge: { into: Item.collection.name, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+  } catch (error) {
+    console.error('❌ Error backfilling item locations:', error);
+  }
+};
+
+// Moves tokens registered before the device registry existed into it. Users saved by the
+// API always carried a deviceTokens map, which is dropped once their tokens are migrated.
+const migrateLegacyDeviceTokens = async () => {
+  try {
+    const users = User.collection.find(
+      { deviceTokens: { $exists: true } },
+      { projection: { id: 1, fcmTokens: 1, deviceTokens: 1, lastActive: 1 } }
+    );
+
+    for await (const user of users) {
+      const deviceIdByToken = new Map(Object.entries(user.deviceTokens || {}).map(([deviceId, token]) => [token, deviceId]));
+      const now = new Date();
+      const operations = (user.fcmTokens || []).filter(Boolean).map((token) => ({
+        updateOne: {
+          filter: { token },
+          update: {
+            $setOnInsert: {
+              deviceId: deviceIdByToken.get(token) || legacyDeviceId(token),
+              userId: user.id,
+              token,
+              lastSeenAt: user.lastActive || now,
+              createdAt: now,
+              updatedAt: now
+            }
+          },
+          upsert: true
+        }
+      }));
+
+      try {
+        if (operations.length) {
+          await Device.collection.bulkWrite(operations, { ordered: false });
+        }
+      } catch (error) {
+        // A device id already registered with a newer token keeps that token
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+      await User.collection.updateOne({ _id: user._id }, { $unset: { deviceTokens: '' } });
+    }
+  } catch (error) {
+    console.error('❌ Error migrating device tokens:', error);
+  }
+};
+
+mongoose.connection.once('open', async () => {
+  backfillOfferExpiry();
+  await backfillUserGeo();
+  backfillItemLocations();
+  migrateLegacyDeviceTokens();
+  scheduleJob('offer-expiry', OFFER_EXPIRY_SWEEP_INTERVAL_MS, expireDueOffers);
+  scheduleJob('meetup-reminders', MEETUP_REMINDER_SWEEP_INTERVAL_MS, sendMeetupReminders);
+  scheduleJob('notification-outbox', NOTIFICATION_OUTBOX_POLL_INTERVAL_MS, processNotificationOutbox);
+  scheduleJob('device-pruning', DEVICE_PRUNE_SWEEP_INTERVAL_MS, pruneStaleDevices);
+  scheduleJob('saved-search-matching', SAVED_SEARCH_MATCH_SWEEP_INTERVAL_MS, processSavedSearchMatches);
+  scheduleJob('saved-search-digests', SAVED_SEARCH_DIGEST_SWEEP_INTERVAL_MS, sendSavedSearchDigests);
+});
+
+// API Routes
+
+// Uploaded images are public; their keys are unguessable ids
+app.use('/uploads', express.static(IMAGE_UPLOAD_DIR, {
+  index: false,
+  immutable: true,
+  maxAge: '365d',
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
+    message: 'SwopTrader API is running!'
+  });
+});
+
+// Simple test endpoint
+app.get('/test', (req, res) => {
+  res.json({ 
+    message: 'API is working!',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Meetup calendar feed. Registered before the Firebase check because calendar apps
+// subscribe with the feed token; the app itself can still use its bearer token.
+app.get('/api/v1/users/:userId/meetups.ics', async (req, res, next) => {
+  try {
+    if (!req.query.token) {
+      return authenticate(req, res, next);
+    }
+    if (!(await isValidCalendarFeedToken(req.params.userId, req.query.token))) {
+      return res.status(401).json({ success: false, error: 'Invalid calendar feed token' });
+    }
+    if (await isUserSuspended(req.params.userId)) {
+      return forbidden(res, 'This account has been suspended');
+    }
+    req.userId = req.params.userId;
+    next();
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+}, async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const offers = await Offer.find({
+      $or: [{ fromUserId: req.userId }, { toUserId: req.userId }],
+      'meetup.scheduledAt': { $gte: Date.now() - CALENDAR_FEED_WINDOW_MS }
+    }).sort({ 'meetup.scheduledAt': 1 }).limit(500).lean();
+
+    sendCalendar(res, await buildMeetupCalendar(offers, req.userId, 'SwopTrader meetups'), 'swoptrader-meetups.ics');
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Every /api/v1 route below requires a verified Firebase ID token
+app.use('/api/v1', authenticate);
+
+// and every /api/v1/admin route an admin
+app.use('/api/v1/admin', auditAdminActions, requireAdmin);
+
+// Users routes
+// What other users can see of a profile; contact details, device tokens, role, location and
+// notification settings are only returned to the user themselves
+const PUBLIC_USER_FIELDS = {
+  _id: 0,
+  id: 1,
+  name: 1,
+  profileImageUrl: 1,
+  profileImageThumbnailUrl: 1,
+  tradeScore: 1,
+  level: 1,
+  carbonSaved: 1,
+  ratingAverage: 1,
+  ratingCount: 1,
+  lastActive: 1,
+  createdAt: 1
+};
+
+app.get('/api/v1/users/:userId', async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.userId;
+    const user = await User.findOne({ id: req.params.userId }, isSelf ? null : PUBLIC_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/users', validateBody(USER_CREATE_FIELDS), async (req, res) => {
+  try {
+    if (req.body.id && req.body.id !== req.userId) {
+      return forbidden(res, 'User id must match the authenticated account');
+    }
+
+    const user = new User({ ...req.body, id: req.userId });
+    await user.save();
+    res.status(201).json({ success: true, data: user });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.put('/api/v1/users/:userId', validateBody(USER_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const updates = { ...req.body, updatedAt: new Date() };
+    const { profileImageUrl } = req.body;
+    if (profileImageUrl !== undefined) {
+      const upload = profileImageUrl && await Image.findOne({ ownerId: req.userId, purpose: 'PROFILE', url: profileImageUrl }, { thumbnailUrl: 1 });
+      updates.profileImageThumbnailUrl = upload?.thumbnailUrl || null;
+    }
+
+    const user = await User.findOneAndUpdate(
+      { id: req.params.userId }, 
+      updates, 
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (profileImageUrl !== undefined) {
+      await removeStoredImages({ ownerId: req.userId, purpose: 'PROFILE', url: { $ne: profileImageUrl } });
+    }
+    res.json({ success: true, data: user });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Uploads a new profile picture (multipart field "image") and replaces the previous upload
+app.post('/api/v1/users/:userId/profile-image', acceptImages('image', 1), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+    requireUploadedFiles(req, 'image');
+    if (!(await User.exists({ id: req.userId }))) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const image = await storeImage(req.files[0], { ownerId: req.userId, purpose: 'PROFILE' }, req);
+    const user = await User.findOneAndUpdate(
+      { id: req.userId },
+      { profileImageUrl: image.url, profileImageThumbnailUrl: image.thumbnailUrl, updatedAt: new Date() },
+      { new: true }
+    );
+    await removeStoredImages({ ownerId: req.userId, purpose: 'PROFILE', id: { $ne: image.id } });
+    res.status(201).json({ success: true, data: user });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Creates or rotates the caller's calendar feed token; the old feed URL stops working
+app.post('/api/v1/users/:userId/calendar-feed', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const user = await User.findOneAndUpdate(
+      { id: req.userId },
+      { calendarFeedTokenHash: hashCalendarFeedToken(token), updatedAt: new Date() }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const url = buildCalendarFeedUrl(req, req.userId, token);
+    res.status(201).json({ success: true, data: { url, webcalUrl: url.replace(/^https?:/, 'webcal:') } });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.delete('/api/v1/users/:userId/calendar-feed', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    await User.updateOne({ id: req.userId }, { $unset: { calendarFeedTokenHash: 1 }, $set: { updatedAt: new Date() } });
+    res.json({ success: true, message: 'Calendar feed disabled' });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.get('/api/v1/users/:userId/reviews', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { userId } = req.params;
+
+    const user = await User.findOne({ id: userId }, { ratingAverage: 1, ratingCount: 1 });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const [result] = await TradeHistory.aggregate([
+      { $match: { 'ratings.rateeId': userId } },
+      { $unwind: '$ratings' },
+      { $match: { 'ratings.rateeId': userId } },
+      { $sort: { 'ratings.ratedAt': -1 } },
+      {
+        $facet: {
+          reviews: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                tradeId: '$id',
+                raterId: '$ratings.raterId',
+                rating: '$ratings.rating',
+                comment: '$ratings.comment',
+                ratedAt: '$ratings.ratedAt',
+                updatedAt: '$ratings.updatedAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const raters = await User.find(
+      { id: { $in: result.reviews.map((review) => review.raterId) } },
+      { id: 1, name: 1, profileImageUrl: 1 }
+    );
+    const ratersById = new Map(raters.map((rater) => [rater.id, rater]));
+
+    res.json({
+      success: true,
+      data: result.reviews.map((review) => {
+        const rater = ratersById.get(review.raterId);
+        return {
+          ...review,
+          rater: rater ? { id: rater.id, name: rater.name, profileImageUrl: rater.profileImageUrl } : null
+        };
+      }),
+      summary: {
+        ratingAverage: user.ratingAverage,
+        ratingCount: user.ratingCount
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Wishlist of wanted categories and keywords, used for swap matchmaking
+app.get('/api/v1/users/:userId/wishlist', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const user = await User.findOne({ id: req.userId }, { wishlist: 1 });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user.wishlist });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.put('/api/v1/users/:userId/wishlist', validateBody(WISHLIST_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const update = { 'wishlist.updatedAt': new Date(), updatedAt: new Date() };
+    for (const field of ['categories', 'keywords']) {
+      if (req.body[field] !== undefined) {
+        update[`wishlist.${field}`] = [...new Set(req.body[field].map((term) => term.toLowerCase()))];
+      }
+    }
+
+    const user = await User.findOneAndUpdate(
+      { id: req.userId },
+      { $set: update },
+      { new: true, projection: { wishlist: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user.wishlist });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Mutual matches and three-way trade cycles for the caller's listings and wishlist
+app.get('/api/v1/users/:userId/matches', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const radiusKm = req.query.radiusKm !== undefined ? parseRadiusKm(req.query.radiusKm) : MATCH_DEFAULT_RADIUS_KM;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const caller = await User.findOne({ id: req.userId }, MATCH_USER_FIELDS).lean();
+    if (!caller) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const matches = await findSwapMatches(caller, { radiusKm, limit });
+    res.json({
+      success: true,
+      data: matches,
+      radiusKm: caller.geo?.coordinates?.length ? radiusKm : null
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Blocked users
+app.get('/api/v1/users/:userId/blocks', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const user = await User.findOne({ id: req.userId }, { blockedUserIds: 1 });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const blocked = await User.find({ id: { $in: user.blockedUserIds } }, { _id: 0, id: 1, name: 1, profileImageUrl: 1 }).lean();
+    res.json({ success: true, data: blocked });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/users/:userId/blocks', validateBody(BLOCK_FIELDS), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const blockedUserId = req.body.userId;
+    if (blockedUserId === req.userId) {
+      throw new ValidationError(422, 'Validation failed', [{ field: 'userId', message: 'cannot be your own user id' }]);
+    }
+    if (!await User.exists({ id: blockedUserId })) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await User.updateOne(
+      { id: req.userId },
+      { $addToSet: { blockedUserIds: blockedUserId }, $set: { updatedAt: new Date() } }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.status(201).json({ success: true, data: { userId: blockedUserId } });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.delete('/api/v1/users/:userId/blocks/:blockedUserId', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const result = await User.updateOne(
+      { id: req.userId, blockedUserIds: req.params.blockedUserId },
+      { $pull: { blockedUserIds: req.params.blockedUserId }, $set: { updatedAt: new Date() } }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ success: false, error: 'Block not found' });
+    }
+    res.json({ success: true, message: 'User unblocked' });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Reports
+app.post('/api/v1/reports', validateBody(REPORT_FIELDS), async (req, res) => {
+  try {
+    const report = await createReport(req.userId, req.body);
+    res.status(201).json({
+      success: true,
+      data: { id: report.id, targetType: report.targetType, targetId: report.targetId, reason: report.reason, status: report.status }
+    });
+  } catch (error) {
+    // Two reports sent at once by the same reporter
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'You have already reported this and it is awaiting review' });
+    }
+    handleRouteError(res, error);
+  }
+});
+
+// Saved searches
+app.get('/api/v1/users/:userId/saved-searches', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const savedSearches = await SavedSearch.find({ userId: req.userId }, { pendingItemIds: 0 }).sort({ createdAt: -1 });
+    res.json({ success: true, data: savedSearches });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/users/:userId/saved-searches', validateBody(SAVED_SEARCH_FIELDS), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+    if (await SavedSearch.countDocuments({ userId: req.userId }) >= SAVED_SEARCH_LIMIT) {
+      throw new ApiError(409, `You can keep at most ${SAVED_SEARCH_LIMIT} saved searches`);
+    }
+
+    const savedSearch = await SavedSearch.create({ ...buildSavedSearchFields(req.body), userId: req.userId });
+    res.status(201).json({ success: true, data: savedSearch });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.put('/api/v1/users/:userId/saved-searches/:searchId', validateBody(SAVED_SEARCH_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { id: req.params.searchId, userId: req.userId },
+      { $set: { ...buildSavedSearchFields(req.body), updatedAt: new Date() } },
+      { new: true, projection: { pendingItemIds: 0 } }
+    );
+    if (!savedSearch) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+    res.json({ success: true, data: savedSearch });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
-    message: 'SwopTrader API is running!'
+app.delete('/api/v1/users/:userId/saved-searches/:searchId', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const result = await SavedSearch.deleteOne({ id: req.params.searchId, userId: req.userId });
+    if (!result.deletedCount) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Unread totals for the app badge
+app.get('/api/v1/users/:userId/unread', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const chatIds = await Chat.distinct('id', { participantIds: req.userId, isActive: true });
+    const [unreadCounts, notificationsUnread] = await Promise.all([
+      countUnreadByChat(chatIds, req.userId),
+      InboxNotification.countDocuments({ userId: req.userId, readAt: null })
+    ]);
+    const perChat = [...unreadCounts.entries()].map(([chatId, unreadCount]) => ({ chatId, unreadCount }));
+
+    res.json({
+      success: true,
+      data: {
+        totalUnread: perChat.reduce((sum, chat) => sum + chat.unreadCount, 0),
+        chatsWithUnread: perChat.length,
+        chats: perChat,
+        notificationsUnread
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Notification preferences
+// Turns a body checked against NOTIFICATION_PREFERENCE_FIELDS into $set paths
+const buildNotificationPreferencesUpdate = ({ types = {}, quietHours = {} }) => {
+  const update = {};
+  Object.entries(types).forEach(([type, enabled]) => {
+    update[`notificationPreferences.types.${type}`] = enabled;
+  });
+  Object.entries(quietHours).forEach(([field, value]) => {
+    update[`notificationPreferences.quietHours.${field}`] = value;
   });
+  return update;
+};
+
+app.get('/api/v1/users/:userId/notification-preferences', async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const user = await User.findOne({ id: req.userId }, { notificationPreferences: 1 });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user.notificationPreferences });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.put('/api/v1/users/:userId/notification-preferences', validateBody(NOTIFICATION_PREFERENCE_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const update = buildNotificationPreferencesUpdate(req.body);
+    const user = await User.findOneAndUpdate(
+      { id: req.userId },
+      { $set: { ...update, updatedAt: new Date() } },
+      { new: true, projection: { notificationPreferences: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user.notificationPreferences });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Mute or unmute pushes for a single chat
+app.put('/api/v1/users/:userId/notification-preferences/chats/:chatId', validateBody(CHAT_MUTE_FIELDS), async (req, res) => {
+  try {
+    if (req.params.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const chat = await Chat.findOne({ id: req.params.chatId }, { participantIds: 1 });
+    if (!chat || !chat.participantIds.includes(req.userId)) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { id: req.userId },
+      {
+        [req.body.muted ? '$addToSet' : '$pull']: { 'notificationPreferences.mutedChatIds': req.params.chatId },
+        $set: { updatedAt: new Date() }
+      },
+      { new: true, projection: { notificationPreferences: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user.notificationPreferences });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Notification routes
+// Notification inbox
+app.get('/api/v1/notifications', async (req, res) => {
+  try {
+    const { read } = req.query;
+    const { limit } = parsePagination(req.query);
+    if (read !== undefined && read !== 'true' && read !== 'false') {
+      return res.status(400).json({ success: false, error: 'read must be true or false' });
+    }
+
+    const query = { userId: req.userId };
+    if (read !== undefined) query.readAt = read === 'true' ? { $ne: null } : null;
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const [rows, unreadCount] = await Promise.all([
+      InboxNotification.find(cursor ? { $and: [query, cursorQuery('createdAt', cursor)] } : query, { _id: 0, __v: 0, purgeAt: 0 })
+        .sort({ createdAt: -1, id: -1 })
+        .limit(limit + 1)
+        .lean(),
+      InboxNotification.countDocuments({ userId: req.userId, readAt: null })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const notifications = rows.slice(0, limit);
+    const lastNotification = notifications[notifications.length - 1];
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        limit,
+        nextCursor: hasMore ? encodeCursor(lastNotification.createdAt, lastNotification.id) : null,
+        hasMore
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/notifications/read-all', async (req, res) => {
+  try {
+    const result = await InboxNotification.updateMany(
+      { userId: req.userId, readAt: null },
+      { readAt: new Date(), updatedAt: new Date() }
+    );
+    res.json({ success: true, data: { markedCount: result.modifiedCount } });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/notifications/:notificationId/read', async (req, res) => {
+  try {
+    const notification = await InboxNotification.findOne({ id: req.params.notificationId });
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    if (notification.userId !== req.userId) {
+      return forbidden(res);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      notification.updatedAt = new Date();
+      await notification.save();
+    }
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/notifications/token', validateBody(DEVICE_TOKEN_FIELDS), async (req, res) => {
+  try {
+    const { userId = req.userId, token, deviceId, platform, appVersion } = req.body;
+
+    if (userId !== req.userId) {
+      return forbidden(res, 'Tokens can only be registered for your own account');
+    }
+
+    const { device, user } = await registerDevice({
+      userId,
+      deviceId: deviceId || legacyDeviceId(token),
+      token,
+      platform,
+      appVersion
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tokens: user.fcmTokens,
+        device,
+        registeredAt: new Date().toISOString()
+      },
+      message: 'Device token registered'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return handleRouteError(res, error);
+    }
+    console.error('❌ Failed to register notification token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register device token'
+    });
+  }
+});
+
+// Unregister a device on logout
+app.delete('/api/v1/notifications/token', validateBody(DEVICE_UNREGISTER_FIELDS), async (req, res) => {
+  try {
+    const { deviceId, token } = req.body;
+    if (!deviceId && !token) {
+      throw new ValidationError(422, 'Validation failed', [{ field: 'deviceId', message: 'or token is required' }]);
+    }
+
+    const removedCount = await unregisterDevice(req.userId, { deviceId, token });
+    res.json({ success: true, data: { removedCount }, message: 'Device token removed' });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.get('/api/v1/notifications/devices', async (req, res) => {
+  try {
+    const devices = await Device.find({ userId: req.userId }, { _id: 0, __v: 0, token: 0 })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+    res.json({ success: true, data: devices });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Kept for app versions that request the new-offer push themselves. Creating an offer already
+// queues it, so this only queues one when the offer has none.
+app.post('/api/v1/notifications/offers', validateBody(OFFER_NOTIFICATION_FIELDS), async (req, res) => {
+  try {
+    const { offerId, recipientUserId, senderUserId } = req.body;
+
+    if (senderUserId !== req.userId) {
+      return forbidden(res, 'Offer notifications can only be sent on your own behalf');
+    }
+
+    const offer = await Offer.findOne({ id: offerId });
+    if (!offer || offer.fromUserId !== req.userId || offer.toUserId !== recipientUserId) {
+      return forbidden(res, 'Offer does not belong to this sender and recipient');
+    }
+
+    const entry = await NotificationOutbox.findOne({ type: 'OFFER_RECEIVED', 'context.offerId': offer.id }, { id: 1, status: 1 }) ||
+      await queueOfferNotificationForOffer(offer);
+
+    res.status(202).json({
+      success: true,
+      data: { outboxEntryId: entry.id, status: entry.status },
+      message: 'Notification queued'
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Items routes
+app.get('/api/v1/items', async (req, res) => {
+  try {
+    const { ownerId, near, radiusKm = 25 } = req.query;
+    const { page, limit } = parsePagination(req.query);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (search.length > 200) {
+      throw new ApiError(400, 'search must be at most 200 characters');
+    }
+
+    const center = near ? parseNearParam(near) : null;
+    const radius = center ? parseRadiusKm(radiusKm) : null;
+    const sort = req.query.sort || (search ? 'relevance' : center ? 'distance' : 'newest');
+    if (!ITEM_SORTS[sort]) {
+      throw new ApiError(400, `sort must be one of ${Object.keys(ITEM_SORTS).join(', ')}`);
+    }
+    if (sort === 'relevance' && !search) {
+      throw new ApiError(400, 'sort=relevance requires search');
+    }
+    if (sort === 'distance' && !center) {
+      throw new ApiError(400, 'sort=distance requires near');
+    }
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (cursor && sort !== 'newest') {
+      throw new ApiError(400, 'cursor pagination is only available with sort=newest');
+    }
+
+    const baseQuery = { ...LISTED_ITEM_FILTER };
+    if (ownerId) baseQuery.ownerId = String(ownerId);
+    const blockedUserIds = await getBlockedUserIds(req.userId);
+    if (blockedUserIds.length) {
+      baseQuery.ownerId = { ...(ownerId && { $eq: String(ownerId) }), $nin: blockedUserIds };
+    }
+
+    const [result] = await Item.aggregate(buildItemSearchPipeline({
+      baseQuery,
+      search,
+      center,
+      radiusKm: radius,
+      categories: parseListParam(req.query.category),
+      conditions: parseListParam(req.query.condition),
+      sort,
+      cursorFilter: cursor ? cursorQuery('createdAt', cursor) : {},
+      skip: cursor ? 0 : (page - 1) * limit,
+      limit: limit + 1
+    }));
+    const total = result.total[0]?.count || 0;
+    const hasMore = result.data.length > limit;
+    const items = result.data.slice(0, limit);
+    const lastItem = items[items.length - 1];
+    const nextCursor = sort === 'newest' && hasMore ? encodeCursor(lastItem.createdAt, lastItem.id) : null;
+    
+    res.json({ 
+      success: true, 
+      data: items,
+      facets: {
+        category: result.category,
+        condition: result.condition
+      },
+      pagination: cursor
+        ? { limit, total, nextCursor, hasMore }
+        : { page, limit, total, pages: Math.ceil(total / limit), nextCursor, hasMore }
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.get('/api/v1/items/:itemId', async (req, res) => {
+  try {
+    const item = await Item.findOne({ id: req.params.itemId });
+    const isOwner = item?.ownerId === req.userId;
+    if (!item || (!isOwner && (item.hiddenAt || item.archivedAt || await isBlockedBetween(req.userId, item.ownerId)))) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    res.json({ success: true, data: item });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/items', validateBody(ITEM_CREATE_FIELDS), async (req, res) => {
+  try {
+    if (req.body.ownerId && req.body.ownerId !== req.userId) {
+      return forbidden(res, 'Items can only be listed for your own account');
+    }
+
+    const item = new Item({
+      ...req.body,
+      ownerId: req.userId,
+      location: await resolveItemLocation(req.body.location, req.userId),
+      savedSearchMatchPending: true
+    });
+    await item.save();
+    // The job flag is internal, like the other select: false fields
+    const { savedSearchMatchPending, ...data } = item.toObject();
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.put('/api/v1/items/:itemId', validateBody(ITEM_FIELDS, { partial: true }), async (req, res) => {
+  try {
+    const existingItem = await Item.findOne({ id: req.params.itemId }, { ownerId: 1, uploadedImages: 1, hiddenAt: 1, archivedAt: 1 });
+    if (!existingItem) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    if (existingItem.ownerId !== req.userId) {
+      return forbidden(res);
+    }
+    if (existingItem.archivedAt) {
+      return res.status(409).json({ success: false, error: 'This listing has been archived and can only be restored by an admin' });
+    }
+    if (existingItem.hiddenAt && req.body.isAvailable === true) {
+      return forbidden(res, 'This listing was taken down by a moderator');
+    }
+    if (req.body.isAvailable === true && await isItemCommitted(req.params.itemId)) {
+      return res.status(409).json({ success: false, error: 'This item is reserved by an accepted offer or has already been traded' });
+    }
+
+    const updates = { ...req.body, updatedAt: new Date() };
+    if (req.body.location !== undefined) {
+      updates.location = await resolveItemLocation(req.body.location, req.userId);
+    }
+    if (req.body.images !== undefined) {
+      // Uploads left out of the new image list are deleted
+      updates.uploadedImages = existingItem.uploadedImages.filter((image) => req.body.images.includes(image.url));
+    }
+
+    const item = await Item.findOneAndUpdate(
+      { id: req.params.itemId, ownerId: req.userId }, 
+      updates, 
+      { new: true }
+    );
+    if (req.body.images !== undefined) {
+      await removeStoredImages({ itemId: req.params.itemId, url: { $nin: req.body.images } });
+    }
+    res.json({ success: true, data: item });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.delete('/api/v1/items/:itemId', async (req, res) => {
+  try {
+    const existingItem = await Item.findOne({ id: req.params.itemId }, { ownerId: 1, uploadedImages: 1 });
+    if (!existingItem) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    if (existingItem.ownerId !== req.userId) {
+      return forbidden(res);
+    }
+
+    // The listing is kept for offers and trades that refer to it; its uploaded images are deleted
+    const item = await Item.findOneAndUpdate(
+      { id: req.params.itemId, ownerId: req.userId }, 
+      {
+        $set: { isAvailable: false, deletedAt: new Date(), uploadedImages: [], updatedAt: new Date() },
+        $pull: { images: { $in: existingItem.uploadedImages.map((image) => image.url) } }
+      }, 
+      { new: true }
+    );
+    await removeStoredImages({ itemId: req.params.itemId });
+    res.json({ success: true, data: item });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Uploads images for an item (multipart field "images") and appends them to its images
+app.post('/api/v1/items/:itemId/images', acceptImages('images', ITEM_MAX_IMAGES), async (req, res) => {
+  try {
+    const existingItem = await Item.findOne({ id: req.params.itemId }, { ownerId: 1, images: 1 });
+    if (!existingItem) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    if (existingItem.ownerId !== req.userId) {
+      return forbidden(res);
+    }
+    requireUploadedFiles(req, 'images');
+    if (existingItem.images.length + req.files.length > ITEM_MAX_IMAGES) {
+      throw new ApiError(409, `Items can have at most ${ITEM_MAX_IMAGES} images`);
+    }
+
+    const uploaded = [];
+    try {
+      for (const file of req.files) {
+        uploaded.push(await storeImage(file, { ownerId: req.userId, purpose: 'ITEM', itemId: req.params.itemId }, req));
+      }
+    } catch (error) {
+      await removeStoredImages({ id: { $in: uploaded.map((image) => image.id) } });
+      throw error;
+    }
+
+    const item = await Item.findOneAndUpdate(
+      { id: req.params.itemId },
+      {
+        $push: {
+          images: { $each: uploaded.map((image) => image.url) },
+          uploadedImages: { $each: uploaded.map(toUploadedImage) }
+        },
+        $set: { updatedAt: new Date() }
+      },
+      { new: true }
+    );
+    res.status(201).json({ success: true, data: item });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.delete('/api/v1/items/:itemId/images/:imageId', async (req, res) => {
+  try {
+    const existingItem = await Item.findOne({ id: req.params.itemId }, { ownerId: 1 });
+    if (!existingItem) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    if (existingItem.ownerId !== req.userId) {
+      return forbidden(res);
+    }
+
+    const image = await Image.findOne({ id: req.params.imageId, itemId: req.params.itemId }, { id: 1, url: 1 });
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Image not found' });
+    }
+
+    const item = await Item.findOneAndUpdate(
+      { id: req.params.itemId },
+      {
+        $pull: { images: image.url, uploadedImages: { imageId: image.id } },
+        $set: { updatedAt: new Date() }
+      },
+      { new: true }
+    );
+    await removeStoredImages({ id: image.id });
+    res.json({ success: true, data: item });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
 });
 
-// Simple test endpoint
-app.get('/test', (req, res) => {
-  res.json({ 
-    message: 'API is working!',
-    timestamp: new Date().toISOString()
-  });
+// Offers routes
+app.get('/api/v1/offers', async (req, res) => {
+  try {
+    const { status, userId = req.userId } = req.query;
+    const { page, limit } = parsePagination(req.query);
+    if (userId !== req.userId) {
+      return forbidden(res, 'You can only list your own offers');
+    }
+
+    const query = {
+      $or: [
+        { fromUserId: userId },
+        { toUserId: userId }
+      ]
+    };
+    
+    if (status) query.status = String(status);
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const pageQuery = cursor ? { $and: [query, cursorQuery('createdAt', cursor)] } : query;
+    
+    const rows = await Offer.find(pageQuery)
+      .sort({ createdAt: -1, id: -1 })
+      .limit(limit + 1)
+      .skip(cursor ? 0 : (page - 1) * limit);
+    
+    const total = await Offer.countDocuments(query);
+    const hasMore = rows.length > limit;
+    const offers = rows.slice(0, limit);
+    const lastOffer = offers[offers.length - 1];
+    const nextCursor = hasMore ? encodeCursor(lastOffer.createdAt, lastOffer.id) : null;
+    
+    res.json({ 
+      success: true, 
+      data: offers,
+      pagination: cursor
+        ? { limit, total, nextCursor, hasMore }
+        : { page, limit, total, pages: Math.ceil(total / limit), nextCursor, hasMore }
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
 });
 
-// Users routes
-app.get('/api/v1/users/:userId', async (req, res) => {
+app.get('/api/v1/offers/:offerId', async (req, res) => {
   try {
-    const user = await User.findOne({ id: req.params.userId });
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+    const offer = await Offer.findOne({ id: req.params.offerId });
+    if (!offer) {
+      return res.status(404).json({ success: false, error: 'Offer not found' });
     }
-    res.json({ success: true, data: user });
+    if (!isOfferParticipant(offer, req.userId)) {
+      return forbidden(res);
+    }
+    res.json({ success: true, data: offer });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.post('/api/v1/users', async (req, res) => {
+app.post('/api/v1/offers', validateBody(OFFER_CREATE_FIELDS), async (req, res) => {
   try {
-    const user = new User(req.body);
-    await user.save();
-    res.status(201).json({ success: true, data: user });
+    const { fromUserId = req.userId, requestedItemId, offeredItemIds = [] } = req.body;
+    if (fromUserId !== req.userId) {
+      return forbidden(res, 'Offers can only be made on your own behalf');
+    }
+
+    const requestedItem = await Item.findOne({ id: requestedItemId }, { ownerId: 1, isAvailable: 1 });
+    if (!requestedItem) {
+      return res.status(404).json({ success: false, error: 'Requested item not found' });
+    }
+    if (!requestedItem.isAvailable) {
+      return res.status(409).json({ success: false, error: 'Requested item is no longer available' });
+    }
+    if (requestedItem.ownerId === req.userId) {
+      return res.status(400).json({ success: false, error: 'You cannot make an offer on your own item' });
+    }
+    if (await isBlockedBetween(req.userId, requestedItem.ownerId)) {
+      return forbidden(res, 'You cannot trade with this user');
+    }
+
+    const ownedOfferedItems = await Item.countDocuments({ id: { $in: offeredItemIds }, ownerId: req.userId });
+    if (ownedOfferedItems !== new Set(offeredItemIds).size) {
+      return forbidden(res, 'You can only offer items you own');
+    }
+
+    const offer = new Offer({
+      ...req.body,
+      fromUserId: req.userId,
+      toUserId: requestedItem.ownerId,
+      status: 'PENDING',
+      meetup: req.body.meetup !== undefined && req.body.meetup !== null
+        ? await buildMeetupProposal(req.body.meetup, req.userId)
+        : undefined
+    });
+    await withTransaction(async (session) => {
+      await offer.save({ session });
+      await queueOfferNotificationForOffer(offer, session);
+    });
+    res.status(201).json({ success: true, data: offer });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.put('/api/v1/users/:userId', async (req, res) => {
+app.put('/api/v1/offers/:offerId', validateBody(OFFER_UPDATE_FIELDS, { partial: true }), async (req, res) => {
   try {
-    const user = await User.findOneAndUpdate(
-      { id: req.params.userId }, 
-      { ...req.body, updatedAt: new Date() }, 
+    const existingOffer = await Offer.findOne({ id: req.params.offerId }, { fromUserId: 1, toUserId: 1, status: 1, expiresAt: 1 });
+    if (!existingOffer) {
+      return res.status(404).json({ success: false, error: 'Offer not found' });
+    }
+    if (!isOfferParticipant(existingOffer, req.userId)) {
+      return forbidden(res);
+    }
+    // The recipient changes terms by countering; the sender can only amend a live offer
+    if (existingOffer.fromUserId !== req.userId) {
+      return forbidden(res, 'Only the sender can edit an offer; send a counter offer instead');
+    }
+
+    const now = new Date();
+    const offer = await Offer.findOneAndUpdate(
+      { id: req.params.offerId, status: 'PENDING', expiresAt: { $gt: now } },
+      { ...req.body, updatedAt: now },
       { new: true }
     );
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+    if (!offer) {
+      return res.status(409).json({ success: false, error: `Cannot edit an offer that is ${existingOffer.status === 'PENDING' ? 'past its expiry' : existingOffer.status}` });
     }
-    res.json({ success: true, data: user });
+    res.json({ success: true, data: offer });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-// Notification routes
-app.post('/api/v1/notifications/token', async (req, res) => {
+// Meetups
+app.post('/api/v1/offers/:offerId/meetup', validateBody(MEETUP_PROPOSAL_FIELDS), async (req, res) => {
   try {
-    const { userId, token, deviceId } = req.body || {};
+    const offer = await updateMeetup(req.params.offerId, req.userId, 'propose', req.body);
+    res.status(201).json({ success: true, data: offer.meetup });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
 
-    if (!userId || !token) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId and token are required'
-      });
+// Each action has its own body; rescheduling may change any subset of the proposal
+const validateMeetupActionBody = (req, res, next) => {
+  const { action } = req.params;
+  validateBody(MEETUP_ACTION_FIELDS[action], { partial: action === 'reschedule' })(req, res, next);
+};
+
+app.post('/api/v1/offers/:offerId/meetup/:action(accept|reschedule|check-in|complete|cancel)', validateMeetupActionBody, async (req, res) => {
+  try {
+    const offer = await updateMeetup(req.params.offerId, req.userId, req.params.action, req.body);
+    res.json({ success: true, data: offer.meetup });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Per-offer calendar download
+app.get('/api/v1/offers/:offerId/meetup.ics', async (req, res) => {
+  try {
+    const offer = await Offer.findOne({ id: req.params.offerId }).lean();
+    if (!offer) {
+      return res.status(404).json({ success: false, error: 'Offer not found' });
+    }
+    if (!isOfferParticipant(offer, req.userId)) {
+      return forbidden(res);
+    }
+    if (!offer.meetup?.scheduledAt) {
+      return res.status(404).json({ success: false, error: 'This offer has no scheduled meetup' });
     }
 
-    const updatePayload = {
-      $addToSet: { fcmTokens: token },
-      $set: {
-        updatedAt: new Date(),
-        lastActive: new Date()
-      }
-    };
+    sendCalendar(res, await buildMeetupCalendar([offer], req.userId, 'SwopTrader meetup'), `meetup-${offer.id}.ics`);
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
 
-    if (deviceId) {
-      updatePayload.$set[`deviceTokens.${deviceId}`] = token;
+// Safe spots around the midpoint between both traders
+app.get('/api/v1/offers/:offerId/meetup/suggestions', async (req, res) => {
+  try {
+    const offer = await Offer.findOne({ id: req.params.offerId }, { id: 1, fromUserId: 1, toUserId: 1 });
+    if (!offer) {
+      return res.status(404).json({ success: false, error: 'Offer not found' });
+    }
+    if (!isOfferParticipant(offer, req.userId)) {
+      return forbidden(res);
     }
 
-    const user = await User.findOneAndUpdate(
-      { id: userId },
-      updatePayload,
-      { new: true }
-    );
+    const radiusKm = req.query.radiusKm !== undefined ? parseRadiusKm(req.query.radiusKm) : undefined;
+    res.json({ success: true, data: await suggestMeetupSpots(offer, radiusKm) });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+app.get('/api/v1/offers/:offerId/thread', async (req, res) => {
+  try {
+    const offer = await Offer.findOne({ id: req.params.offerId }).lean();
+    if (!offer) {
+      return res.status(404).json({ success: false, error: 'Offer not found' });
     }
+    if (!isOfferParticipant(offer, req.userId)) {
+      return forbidden(res);
+    }
+
+    const rootOfferId = offer.rootOfferId || offer.id;
+    const offers = await Offer.find({
+      $or: [{ id: rootOfferId }, { rootOfferId }]
+    }).sort({ createdAt: 1 }).lean();
+    const offersById = new Map(offers.map((threadOffer) => [threadOffer.id, threadOffer]));
+
+    const steps = offers.map((threadOffer) => {
+      const parent = threadOffer.parentOfferId ? offersById.get(threadOffer.parentOfferId) : null;
+      return {
+        offer: threadOffer,
+        proposedBy: threadOffer.fromUserId,
+        changes: parent ? diffOffers(parent, threadOffer) : null
+      };
+    });
 
     res.json({
       success: true,
       data: {
-        tokens: user.fcmTokens,
-        registeredAt: new Date().toISOString()
-      },
-      message: 'Device token registered'
+        rootOfferId,
+        latestOfferId: offers[offers.length - 1].id,
+        steps
+      }
     });
   } catch (error) {
-    console.error('❌ Failed to register notification token:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to register device token'
-    });
+    handleRouteError(res, error);
   }
 });
 
-app.post('/api/v1/notifications/offers', async (req, res) => {
+// Counter an offer with a new child offer that swaps the traders
+app.post('/api/v1/offers/:offerId/counter', validateBody(OFFER_TERM_FIELDS), async (req, res) => {
   try {
-    const {
-      offerId,
-      recipientUserId,
-      senderUserId,
-      senderName,
-      itemName,
+    const { offeredItemIds, cashAmount, meetup, message } = req.body;
+    const { offer, sideEffects } = await transitionOffer(req.params.offerId, req.userId, 'counter', {
+      offeredItemIds,
+      cashAmount,
+      meetup,
       message
-    } = req.body || {};
+    });
 
-    if (!offerId || !recipientUserId || !senderUserId || !senderName) {
-      return res.status(400).json({
-        success: false,
-        error: 'offerId, recipientUserId, senderUserId and senderName are required'
+    res.status(201).json({
+      success: true,
+      data: sideEffects.counterOffer,
+      parentOffer: offer
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Complete an accepted offer once its meetup is done
+app.post('/api/v1/offers/:offerId/complete', async (req, res) => {
+  try {
+    const trade = await completeTrade(req.params.offerId, req.userId);
+    res.status(201).json({ success: true, data: trade });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Offer status transitions: accept, reject, cancel, expire
+app.post('/api/v1/offers/:offerId/:action(accept|reject|cancel|expire)', async (req, res) => {
+  try {
+    const { offer, sideEffects } = await transitionOffer(req.params.offerId, req.userId, req.params.action);
+    res.json({
+      success: true,
+      data: offer,
+      ...(sideEffects && { sideEffects })
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Chat routes
+app.get('/api/v1/chats', async (req, res) => {
+  try {
+    const { userId = req.userId } = req.query;
+    if (userId !== req.userId) {
+      return forbidden(res, 'You can only list your own chats');
+    }
+    
+    const chats = await Chat.find({ 
+      participantIds: userId,
+      isActive: true 
+    }).sort({ lastMessageAt: -1 });
+
+    const chatIds = chats.map((chat) => chat.id);
+    const [unreadCounts, lastMessages] = await Promise.all([
+      countUnreadByChat(chatIds, userId),
+      getLastMessagesByChat(chatIds)
+    ]);
+    
+    res.json({
+      success: true,
+      data: chats.map((chat) => ({
+        ...chat.toObject(),
+        unreadCount: unreadCounts.get(chat.id) || 0,
+        lastMessage: lastMessages.get(chat.id) || null
+      }))
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Mark received messages as read, up to messageId (default: the latest message)
+app.post('/api/v1/chats/:chatId/read', async (req, res) => {
+  try {
+    const chat = await Chat.findOne({ id: req.params.chatId }, { participantIds: 1 });
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+    if (!chat.participantIds.includes(req.userId)) {
+      return forbidden(res);
+    }
+
+    let { messageId } = req.body || {};
+    if (!messageId) {
+      const latest = await ChatMessage.findOne({ chatId: req.params.chatId }, { id: 1 }).sort({ timestamp: -1, id: -1 });
+      if (!latest) {
+        return res.json({ success: true, data: { chatId: req.params.chatId, markedCount: 0 } });
+      }
+      messageId = latest.id;
+    }
+
+    const result = await markChatRead(req.params.chatId, req.userId, String(messageId));
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.get('/api/v1/chats/:chatId/messages', async (req, res) => {
+  try {
+    const chat = await Chat.findOne({ id: req.params.chatId }, { participantIds: 1 });
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+    if (!chat.participantIds.includes(req.userId)) {
+      return forbidden(res);
+    }
+
+    const { page, limit } = parsePagination(req.query, 50);
+    const { before, after } = req.query;
+    if (before && after) {
+      throw new ApiError(400, 'Use either before or after, not both');
+    }
+
+    const query = { chatId: req.params.chatId };
+    let rows;
+    if (after) {
+      // Polling for newer messages: oldest first, starting right after the cursor
+      const cursor = decodeCursor(after);
+      rows = await ChatMessage.find({ $and: [query, cursorQuery('timestamp', cursor, 1)] })
+        .sort({ timestamp: 1, id: 1 })
+        .limit(limit + 1);
+    } else {
+      // Latest messages, or older history when before is set
+      const cursor = before ? decodeCursor(before) : null;
+      rows = await ChatMessage.find(cursor ? { $and: [query, cursorQuery('timestamp', cursor)] } : query)
+        .sort({ timestamp: -1, id: -1 })
+        .limit(limit + 1)
+        .skip(cursor ? 0 : (page - 1) * limit);
+    }
+
+    const hasMore = rows.length > limit;
+    const messages = rows.slice(0, limit);
+    if (!after) {
+      messages.reverse();
+    }
+
+    const oldest = messages[0];
+    const newest = messages[messages.length - 1];
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        limit,
+        hasMore,
+        beforeCursor: oldest ? encodeCursor(oldest.timestamp, oldest.id) : before || null,
+        afterCursor: newest ? encodeCursor(newest.timestamp, newest.id) : after || null
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/chats/:chatId/messages', validateBody(CHAT_MESSAGE_FIELDS), async (req, res) => {
+  try {
+    const chat = await Chat.findOne({ id: req.params.chatId }, { id: 1, participantIds: 1 });
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+    if (!chat.participantIds.includes(req.userId)) {
+      return forbidden(res);
+    }
+    if (req.body.senderId && req.body.senderId !== req.userId) {
+      return forbidden(res, 'Messages can only be sent as yourself');
+    }
+    if (await isBlockedBetween(req.userId, chat.participantIds.filter((userId) => userId !== req.userId))) {
+      return forbidden(res, 'You cannot message this user');
+    }
+
+    // The message and its notification intents are written together
+    const message = await withTransaction(async (session) => {
+      const message = new ChatMessage({
+        ...req.body,
+        chatId: req.params.chatId,
+        senderId: req.userId
       });
+      await message.save({ session });
+
+      // Update chat's lastMessageAt
+      await Chat.findOneAndUpdate(
+        { id: req.params.chatId },
+        { lastMessageAt: new Date() },
+        { session }
+      );
+
+      await notifyChatMessage(chat, message, session);
+      return message;
+    });
+
+    publishRealtimeEvent(chatChannel(req.params.chatId), {
+      type: 'chat.message',
+      chatId: req.params.chatId,
+      data: message
+    });
+
+    res.status(201).json({ success: true, data: message });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Trade History routes
+app.get('/api/v1/trades/history', async (req, res) => {
+  try {
+    const { userId = req.userId } = req.query;
+    if (userId !== req.userId) {
+      return forbidden(res, 'You can only view your own trade history');
+    }
+    
+    const trades = await TradeHistory.find({ 
+      participantIds: userId 
+    }).sort({ completedAt: -1 });
+    
+    res.json({ success: true, data: trades });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Trade history is written by the server when a trade is completed
+app.post('/api/v1/trades/history', (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: 'Trade history is recorded by POST /api/v1/offers/:offerId/complete'
+  });
+});
+
+app.post('/api/v1/trades/:tradeId/ratings', validateBody(RATING_FIELDS), async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const entry = await rateTrade(req.params.tradeId, req.userId, { rating, comment });
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.put('/api/v1/trades/:tradeId/ratings', validateBody(RATING_FIELDS), async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const entry = await updateTradeRating(req.params.tradeId, req.userId, { rating, comment });
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+// Leaderboard routes
+app.get('/api/v1/leaderboards/:metric', async (req, res) => {
+  try {
+    const { metric } = req.params;
+    const { window = 'all', near, radiusKm } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+      throw new ApiError(400, `metric must be one of ${LEADERBOARD_METRICS.join(', ')}`);
+    }
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      throw new ApiError(400, `window must be one of ${LEADERBOARD_WINDOWS.join(', ')}`);
+    }
+    if (metric === 'level' && window !== 'all') {
+      throw new ApiError(400, 'level leaderboards are only available for the all-time window');
     }
 
-    const result = await sendOfferNotification({
-      offerId,
-      recipientUserId,
-      senderUserId,
-      senderName,
-      itemName,
-      message
-    });
+    let scope = null;
+    let scopeFilter = {};
+    if (radiusKm !== undefined) {
+      let center = near ? parseNearParam(near) : null;
+      if (!center) {
+        const caller = await User.findOne({ id: req.userId }, { location: 1 });
+        if (!toGeoPoint(caller?.location)) {
+          throw new ApiError(400, 'near is required when your profile has no location');
+        }
+        center = { latitude: caller.location.latitude, longitude: caller.location.longitude };
+      }
 
-    if (result.skipped) {
-      return res.status(404).json({
-        success: false,
-        error: 'Recipient has no registered notification tokens'
-      });
+      scope = { near: center, radiusKm: parseRadiusKm(radiusKm) };
+      scopeFilter = { geo: withinRadiusQuery(center, scope.radiusKm) };
     }
 
+    const windowStart = getLeaderboardWindowStart(window);
+    const board = windowStart
+      ? await getWindowedLeaderboard({ metric, limit, userId: req.userId, scopeFilter, windowStart })
+      : await getAllTimeLeaderboard({ metric, limit, userId: req.userId, scopeFilter });
+
     res.json({
       success: true,
-      data: result,
-      message: result.successCount
-        ? 'Notification dispatched'
-        : 'No valid device tokens available'
+      data: {
+        metric,
+        window,
+        windowStart,
+        scope,
+        entries: board.entries,
+        me: board.me
+      }
     });
   } catch (error) {
-    if (error.message === 'Firebase messaging is not configured') {
-      return res.status(503).json({
-        success: false,
-        error: 'Push notifications not configured on the server'
-      });
-    }
-
-    console.error('❌ Failed to send offer notification:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to send offer notification'
-    });
+    handleRouteError(res, error);
   }
 });
 
-// Items routes
-app.get('/api/v1/items', async (req, res) => {
+// Safe meetup spots
+app.get('/api/v1/meetup-spots', async (req, res) => {
   try {
-    const { page = 1, limit = 20, category, search, ownerId } = req.query;
-    const query = { isAvailable: true };
-    
+    const { near, category } = req.query;
+    const { limit } = parsePagination(req.query, 50);
+    if (category !== undefined && !SAFE_SPOT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ success: false, error: `category must be one of ${SAFE_SPOT_CATEGORIES.join(', ')}` });
+    }
+
+    const query = { isActive: true };
     if (category) query.category = category;
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+
+    if (!near) {
+      const spots = await SafeMeetupSpot.find(query, { _id: 0, __v: 0 }).sort({ name: 1 }).limit(limit).lean();
+      return res.json({ success: true, data: spots });
     }
-    if (ownerId) query.ownerId = ownerId;
-    
-    const items = await Item.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-    
-    const total = await Item.countDocuments(query);
-    
-    res.json({ 
-      success: true, 
-      data: items,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+
+    const center = parseNearParam(near);
+    const radiusKm = req.query.radiusKm !== undefined ? parseRadiusKm(req.query.radiusKm) : 10;
+    const spots = await SafeMeetupSpot.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [center.longitude, center.latitude] },
+          key: 'location',
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query
+        }
+      },
+      { $limit: limit },
+      { $project: { _id: 0, __v: 0 } }
+    ]);
+    res.json({ success: true, data: spots });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.get('/api/v1/items/:itemId', async (req, res) => {
+app.post('/api/v1/admin/meetup-spots', validateBody(SAFE_SPOT_FIELDS), async (req, res) => {
   try {
-    const item = await Item.findOne({ id: req.params.itemId });
-    if (!item) {
-      return res.status(404).json({ success: false, error: 'Item not found' });
-    }
-    res.json({ success: true, data: item });
+    const spot = await SafeMeetupSpot.create({ ...req.body, location: parseLocationInput(req.body.location), createdBy: req.userId });
+    res.status(201).json({ success: true, data: spot });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.post('/api/v1/items', async (req, res) => {
+app.put('/api/v1/admin/meetup-spots/:spotId', validateBody(SAFE_SPOT_FIELDS, { partial: true }), async (req, res) => {
   try {
-    const item = new Item(req.body);
-    await item.save();
-    res.status(201).json({ success: true, data: item });
+    const updates = { ...req.body, updatedAt: new Date() };
+    if (req.body.location !== undefined) {
+      updates.location = parseLocationInput(req.body.location);
+    }
+
+    const spot = await SafeMeetupSpot.findOneAndUpdate(
+      { id: req.params.spotId },
+      updates,
+      { new: true }
+    );
+    if (!spot) {
+      return res.status(404).json({ success: false, error: 'Meetup spot not found' });
+    }
+    res.json({ success: true, data: spot });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.put('/api/v1/items/:itemId', async (req, res) => {
+// Moderation queue (admin)
+app.get('/api/v1/admin/reports', async (req, res) => {
   try {
-    const item = await Item.findOneAndUpdate(
-      { id: req.params.itemId }, 
-      { ...req.body, updatedAt: new Date() }, 
-      { new: true }
-    );
-    if (!item) {
-      return res.status(404).json({ success: false, error: 'Item not found' });
+    const { status = 'OPEN', targetType, reason, targetUserId } = req.query;
+    const { limit } = parsePagination(req.query, 50);
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${REPORT_STATUSES.join(', ')}` });
     }
-    res.json({ success: true, data: item });
+    if (targetType && !REPORT_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ success: false, error: `targetType must be one of ${REPORT_TARGET_TYPES.join(', ')}` });
+    }
+    if (reason && !REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, error: `reason must be one of ${REPORT_REASONS.join(', ')}` });
+    }
+
+    const query = { status };
+    if (targetType) query.targetType = targetType;
+    if (reason) query.reason = reason;
+    if (targetUserId) query.targetUserId = String(targetUserId);
+
+    // Oldest first, so the queue is worked in the order reports arrived
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const rows = await Report.find(cursor ? { $and: [query, cursorQuery('createdAt', cursor, 1)] } : query)
+      .sort({ createdAt: 1, id: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const reports = rows.slice(0, limit);
+    const lastReport = reports[reports.length - 1];
+    res.json({
+      success: true,
+      data: reports,
+      pagination: { limit, nextCursor: hasMore ? encodeCursor(lastReport.createdAt, lastReport.id) : null, hasMore }
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.delete('/api/v1/items/:itemId', async (req, res) => {
+app.get('/api/v1/admin/reports/:reportId', async (req, res) => {
   try {
-    const item = await Item.findOneAndUpdate(
-      { id: req.params.itemId }, 
-      { isAvailable: false, updatedAt: new Date() }, 
-      { new: true }
-    );
-    if (!item) {
-      return res.status(404).json({ success: false, error: 'Item not found' });
+    const report = await Report.findOne({ id: req.params.reportId }).lean();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
     }
-    res.json({ success: true, data: item });
+
+    // Earlier reports about the same user help judge repeat offenders
+    const priorReportCount = report.targetUserId
+      ? await Report.countDocuments({ targetUserId: report.targetUserId, id: { $ne: report.id } })
+      : 0;
+    res.json({ success: true, data: { ...report, priorReportCount } });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-// Offers routes
-app.get('/api/v1/offers', async (req, res) => {
+// Resolves a report and every other open report about the same target
+app.post('/api/v1/admin/reports/:reportId/resolve', validateBody(RESOLVE_REPORT_FIELDS), async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, userId } = req.query;
-    const query = {};
-    
-    if (status) query.status = status;
-    if (userId) {
-      query.$or = [
-        { fromUserId: userId },
-        { toUserId: userId }
-      ];
+    const { report, settledReportCount } = await resolveReport(req.params.reportId, req.userId, req.body);
+    res.json({ success: true, data: report, settledReportCount });
+  } catch (error) {
+    handleRouteError(res, error);
+  }
+});
+
+app.post('/api/v1/admin/users/:userId/reinstate', async (req, res) => {
+  try {
+    const result = await reinstateUser(req.params.userId);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Suspended user not found' });
     }
-    
-    const offers = await Offer.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-    
-    const total = await Offer.countDocuments(query);
-    
-    res.json({ 
-      success: true, 
-      data: offers,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+    res.json({ success: true, message: 'User reinstated', ...result });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.get('/api/v1/offers/:offerId', async (req, res) => {
+app.post('/api/v1/admin/items/:itemId/unhide', async (req, res) => {
   try {
-    const offer = await Offer.findOne({ id: req.params.offerId });
-    if (!offer) {
-      return res.status(404).json({ success: false, error: 'Offer not found' });
+    const hidden = await Item.findOne({ id: req.params.itemId, hiddenAt: { $ne: null } }, { hiddenReason: 1 });
+    if (!hidden) {
+      return res.status(404).json({ success: false, error: 'Hidden item not found' });
     }
-    res.json({ success: true, data: offer });
+    if (hidden.hiddenReason === 'OWNER_SUSPENDED') {
+      return res.status(409).json({ success: false, error: 'This item is hidden because its owner is suspended; reinstate the owner instead' });
+    }
+
+    await unhideItems({ id: req.params.itemId });
+    res.json({ success: true, data: await Item.findOne({ id: req.params.itemId }) });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.post('/api/v1/offers', async (req, res) => {
+// Notification outbox (admin)
+const OUTBOX_STATUSES = notificationOutboxSchema.path('status').enumValues;
+
+app.get('/api/v1/admin/notifications/outbox', async (req, res) => {
   try {
-    const offer = new Offer(req.body);
-    await offer.save();
-    queueOfferNotificationForOffer(offer);
-    res.status(201).json({ success: true, data: offer });
+    const { status, type, userId } = req.query;
+    const { limit } = parsePagination(req.query, 50);
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${OUTBOX_STATUSES.join(', ')}` });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = String(type);
+    if (userId) query.userId = String(userId);
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const rows = await NotificationOutbox.find(cursor ? { $and: [query, cursorQuery('createdAt', cursor)] } : query)
+      .select({ 'deliveries.results': 0 })
+      .sort({ createdAt: -1, id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const entries = rows.slice(0, limit);
+    const lastEntry = entries[entries.length - 1];
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { limit, nextCursor: hasMore ? encodeCursor(lastEntry.createdAt, lastEntry.id) : null, hasMore }
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.put('/api/v1/offers/:offerId', async (req, res) => {
+app.get('/api/v1/admin/notifications/outbox/:entryId', async (req, res) => {
   try {
-    const offer = await Offer.findOneAndUpdate(
-      { id: req.params.offerId }, 
-      { ...req.body, updatedAt: new Date() }, 
-      { new: true }
-    );
-    if (!offer) {
-      return res.status(404).json({ success: false, error: 'Offer not found' });
+    const entry = await NotificationOutbox.findOne({ id: req.params.entryId }).lean();
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Outbox entry not found' });
     }
-    res.json({ success: true, data: offer });
+    res.json({ success: true, data: entry });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-// Chat routes
-app.get('/api/v1/chats', async (req, res) => {
+// Puts a failed entry back in the queue with a fresh retry budget
+app.post('/api/v1/admin/notifications/outbox/:entryId/replay', async (req, res) => {
   try {
-    const { userId } = req.query;
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'userId is required' });
+    const entry = await NotificationOutbox.findOne({ id: req.params.entryId }).lean();
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Outbox entry not found' });
     }
-    
-    const chats = await Chat.find({ 
-      participantIds: userId,
-      isActive: true 
-    }).sort({ lastMessageAt: -1 });
-    
-    res.json({ success: true, data: chats });
+    if (entry.status !== 'FAILED') {
+      return res.status(409).json({ success: false, error: `Only FAILED entries can be replayed, this one is ${entry.status}` });
+    }
+
+    const replayed = await requeueNotification(entry, new Date(), { attempts: 0 });
+    res.json({ success: true, data: replayed });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.get('/api/v1/chats/:chatId/messages', async (req, res) => {
+// Replays every failed entry, optionally narrowed to one type or user
+app.post('/api/v1/admin/notifications/outbox/replay', validateBody(OUTBOX_REPLAY_FIELDS), async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
-    const messages = await ChatMessage.find({ chatId: req.params.chatId })
-      .sort({ timestamp: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-    
-    res.json({ success: true, data: messages.reverse() });
+    const { type, userId } = req.body;
+    const query = { status: 'FAILED' };
+    if (type) query.type = type;
+    if (userId) query.userId = userId;
+
+    const entries = await NotificationOutbox.find(query, { id: 1, collapseKey: 1, count: 1 }).limit(1000).lean();
+    for (const entry of entries) {
+      await requeueNotification(entry, new Date(), { attempts: 0 });
+    }
+    res.json({ success: true, replayedCount: entries.length });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.post('/api/v1/chats/:chatId/messages', async (req, res) => {
+// Admin roles
+app.put('/api/v1/admin/users/:userId/role', validateBody(USER_ROLE_FIELDS), async (req, res) => {
   try {
-    const message = new ChatMessage({
-      ...req.body,
-      chatId: req.params.chatId
-    });
-    await message.save();
-    
-    // Update chat's lastMessageAt
-    await Chat.findOneAndUpdate(
-      { id: req.params.chatId },
-      { lastMessageAt: new Date() }
+    if (req.params.userId === req.userId) {
+      throw new ValidationError(422, 'Validation failed', [{ field: 'role', message: 'cannot be changed for your own account' }]);
+    }
+
+    const user = await User.findOneAndUpdate(
+      { id: req.params.userId },
+      { $set: { role: req.body.role, updatedAt: new Date() } },
+      { new: true, projection: { _id: 0, id: 1, name: 1, role: 1 } }
     );
-    
-    res.status(201).json({ success: true, data: message });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-// Trade History routes
-app.get('/api/v1/trades/history', async (req, res) => {
+// Audit log (admin)
+app.get('/api/v1/admin/audit-log', async (req, res) => {
   try {
-    const { userId } = req.query;
-    if (!userId) {
-      return res.status(400).json({ success: false, error: 'userId is required' });
-    }
-    
-    const trades = await TradeHistory.find({ 
-      participantIds: userId 
-    }).sort({ completedAt: -1 });
-    
-    res.json({ success: true, data: trades });
+    const { actorId, action, method } = req.query;
+    const { limit } = parsePagination(req.query, 50);
+
+    const query = {};
+    if (actorId) query.actorId = String(actorId);
+    if (action) query.action = String(action);
+    if (method) query.method = String(method).toUpperCase();
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const rows = await AuditLog.find(cursor ? { $and: [query, cursorQuery('createdAt', cursor)] } : query)
+      .sort({ createdAt: -1, id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const entries = rows.slice(0, limit);
+    const lastEntry = entries[entries.length - 1];
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { limit, nextCursor: hasMore ? encodeCursor(lastEntry.createdAt, lastEntry.id) : null, hasMore }
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
-app.post('/api/v1/trades/history', async (req, res) => {
+// Restores an archived item, with the availability it had when archived. Items hidden by
+// moderators stay unavailable.
+app.post('/api/v1/admin/items/:itemId/unarchive', async (req, res) => {
   try {
-    const trade = new TradeHistory(req.body);
-    await trade.save();
-    res.status(201).json({ success: true, data: trade });
+    const result = await Item.updateOne(
+      { id: req.params.itemId, archivedAt: { $ne: null } },
+      [
+        {
+          $set: {
+            isAvailable: {
+              $and: [{ $ifNull: ['$availableBeforeArchive', false] }, { $eq: [{ $ifNull: ['$hiddenAt', null] }, null] }]
+            },
+            archivedAt: null,
+            updatedAt: new Date()
+          }
+        },
+        { $unset: ['archiveReason', 'availableBeforeArchive'] }
+      ]
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ success: false, error: 'Archived item not found' });
+    }
+    res.json({ success: true, data: await Item.findOne({ id: req.params.itemId }) });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    handleRouteError(res, error);
   }
 });
 
 // Admin endpoint to clean up items not attributed to users
+// Archives items whose owner no longer exists. With ?dryRun=true nothing changes and the
+// response lists the items that would be archived.
 app.delete('/api/v1/admin/cleanup-orphaned-items', async (req, res) => {
   try {
-    // Get all unique ownerIds from items
-    const itemsWithOwners = await Item.distinct('ownerId');
-    
-    // Get all user IDs
-    const allUsers = await User.distinct('id');
-    
-    // Find ownerIds that don't exist in users collection
-    const orphanedOwnerIds = itemsWithOwners.filter(ownerId => !allUsers.includes(ownerId));
-    
-    if (orphanedOwnerIds.length === 0) {
+    const dryRun = req.query.dryRun === 'true';
+    const ownerIds = await Item.distinct('ownerId', { archivedAt: null });
+    const existingOwnerIds = new Set(await User.distinct('id', { id: { $in: ownerIds } }));
+    const orphanedOwnerIds = ownerIds.filter((ownerId) => !existingOwnerIds.has(ownerId));
+
+    const query = { ownerId: { $in: orphanedOwnerIds }, archivedAt: null };
+    const items = orphanedOwnerIds.length
+      ? await Item.find(query, { _id: 0, id: 1, name: 1, ownerId: 1, isAvailable: 1, createdAt: 1 })
+        .sort({ createdAt: 1 })
+        .limit(CLEANUP_PREVIEW_LIMIT + 1)
+        .lean()
+      : [];
+    const itemCount = items.length > CLEANUP_PREVIEW_LIMIT ? await Item.countDocuments(query) : items.length;
+    const preview = { orphanedOwnerIds, items: items.slice(0, CLEANUP_PREVIEW_LIMIT), previewTruncated: items.length > CLEANUP_PREVIEW_LIMIT };
+
+    if (dryRun || !itemCount) {
       return res.json({
         success: true,
-        message: 'No orphaned items found',
-        deletedCount: 0
+        dryRun,
+        message: itemCount ? `${itemCount} orphaned items would be archived` : 'No orphaned items found',
+        archivedCount: 0,
+        itemCount,
+        ...preview
       });
     }
-    
-    // Delete items with orphaned ownerIds
-    const deleteResult = await Item.deleteMany({
-      ownerId: { $in: orphanedOwnerIds }
-    });
-    
+
+    // Archived listings keep their images and can be restored with the unarchive route
+    const now = new Date();
+    const result = await Item.updateMany(query, [{
+      $set: { availableBeforeArchive: '$isAvailable', isAvailable: false, archivedAt: now, archiveReason: 'ORPHANED_OWNER', updatedAt: now }
+    }]);
+    res.locals.audit = { archivedCount: result.modifiedCount, orphanedOwnerIds };
+
     res.json({
       success: true,
-      message: `Cleaned up ${deleteResult.deletedCount} orphaned items`,
-      deletedCount: deleteResult.deletedCount,
-      orphanedOwnerIds: orphanedOwnerIds
+      dryRun,
+      message: `Archived ${result.modifiedCount} orphaned items`,
+      archivedCount: result.modifiedCount,
+      itemCount,
+      ...preview
     });
-    
   } catch (error) {
-    console.error('Error cleaning up orphaned items:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to clean up orphaned items'
-    });
+    handleRouteError(res, error);
   }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+
   console.error('Error:', err);
   res.status(500).json({ 
     success: false, 
@@ -916,20 +6280,243 @@ app.use('*', (req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 SwopTrader API Server running on port ${PORT}`);
-  console.log(`📡 Health check: http://localhost:${PORT}/health`);
-  console.log(`📚 API Base URL: http://localhost:${PORT}/api/v1`);
+// Realtime WebSocket endpoint
+const REALTIME_PATH = '/api/v1/realtime';
+const REALTIME_HEARTBEAT_MS = 30 * 1000;
+const PRESENCE_TOUCH_INTERVAL_MS = 60 * 1000;
+// A user counts as online while their lastActive is this recent
+const PRESENCE_ONLINE_WINDOW_MS = 2 * PRESENCE_TOUCH_INTERVAL_MS;
+
+const server = http.createServer(app);
+const wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+const touchLastActive = (userId) => User.updateOne({ id: userId }, { lastActive: new Date() }).catch((error) => {
+  console.error(`❌ Failed to update lastActive for ${userId}:`, error);
+});
+
+// Clients authenticate with the usual bearer header or, where headers can't be set, ?token=
+server.on('upgrade', async (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== REALTIME_PATH) {
+    socket.destroy();
+    return;
+  }
+
+  try {
+    const idToken = getBearerToken(req) || url.searchParams.get('token');
+    if (!idToken) {
+      throw new Error('Missing token');
+    }
+
+    const decodedToken = await verifyIdToken(idToken);
+    if (await isUserSuspended(decodedToken.uid)) {
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, decodedToken.uid));
+  } catch (error) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+    socket.destroy();
+  }
+});
+
+// Fields each client message type must carry as non-empty strings. They end up in query
+// filters, so objects such as { "$gt": "" } must never reach a handler.
+const REALTIME_STRING_FIELDS = {
+  subscribe: ['chatId'],
+  unsubscribe: ['chatId'],
+  typing: ['chatId'],
+  read: ['chatId', 'messageId']
+};
+
+wss.on('connection', (ws, userId) => {
+  const chatSubscriptions = new Map();
+  let lastTouchedAt = 0;
+
+  const send = (event) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(event));
+    }
+  };
+
+  const touchPresence = () => {
+    if (Date.now() - lastTouchedAt < PRESENCE_TOUCH_INTERVAL_MS) {
+      return;
+    }
+    lastTouchedAt = Date.now();
+    touchLastActive(userId);
+  };
+
+  const publishPresence = (chatId, status) => {
+    publishRealtimeEvent(chatChannel(chatId), {
+      type: 'presence',
+      chatId,
+      data: { userId, status, lastActive: new Date() }
+    });
+  };
+
+  const handlers = {
+    subscribe: async ({ chatId }) => {
+      const chat = await Chat.findOne({ id: chatId }, { participantIds: 1 });
+      if (!chat || !chat.participantIds.includes(userId)) {
+        throw new ApiError(403, 'You do not have access to this chat');
+      }
+      // The socket may have closed while the chat was loading, after its subscriptions were cleared
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      if (!chatSubscriptions.has(chatId)) {
+        chatSubscriptions.set(chatId, realtimeAdapter.subscribe(chatChannel(chatId), send));
+        publishPresence(chatId, 'online');
+      }
+
+      const participants = await User.find(
+        { id: { $in: chat.participantIds.filter((participantId) => participantId !== userId) } },
+        { id: 1, lastActive: 1 }
+      );
+      send({
+        type: 'subscribed',
+        chatId,
+        data: {
+          participants: participants.map((participant) => ({
+            userId: participant.id,
+            lastActive: participant.lastActive,
+            online: Date.now() - participant.lastActive?.getTime() < PRESENCE_ONLINE_WINDOW_MS
+          }))
+        }
+      });
+    },
+    unsubscribe: async ({ chatId }) => {
+      const unsubscribe = chatSubscriptions.get(chatId);
+      if (unsubscribe) {
+        unsubscribe();
+        chatSubscriptions.delete(chatId);
+        publishPresence(chatId, 'offline');
+      }
+    },
+    typing: async ({ chatId, isTyping = true }) => {
+      if (!chatSubscriptions.has(chatId)) {
+        throw new ApiError(409, 'Subscribe to the chat before sending typing updates');
+      }
+
+      publishRealtimeEvent(chatChannel(chatId), {
+        type: 'chat.typing',
+        chatId,
+        data: { userId, isTyping: Boolean(isTyping) }
+      });
+    },
+    read: async ({ chatId, messageId }) => {
+      await markChatRead(chatId, userId, messageId);
+    },
+    ping: async () => {
+      send({ type: 'pong' });
+    }
+  };
+
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    touchPresence();
+  });
+
+  const unsubscribeUser = realtimeAdapter.subscribe(userChannel(userId), send);
+  touchPresence();
+
+  ws.on('message', async (raw) => {
+    let payload;
+    try {
+      payload = JSON.parse(raw.toString());
+    } catch (error) {
+      return send({ type: 'error', error: 'Messages must be JSON' });
+    }
+
+    const handler = handlers[payload?.type];
+    if (!handler) {
+      return send({ type: 'error', error: `Unknown message type: ${payload?.type}` });
+    }
+    const invalidField = (REALTIME_STRING_FIELDS[payload.type] || []).find((field) => typeof payload[field] !== 'string' || !payload[field]);
+    if (invalidField) {
+      return send({ type: 'error', requestType: payload.type, error: `${invalidField} must be a non-empty string` });
+    }
+
+    try {
+      touchPresence();
+      await handler(payload);
+    } catch (error) {
+      send({
+        type: 'error',
+        requestType: payload.type,
+        chatId: payload.chatId,
+        error: error instanceof ApiError ? error.message : 'Failed to process message'
+      });
+    }
+  });
+
+  ws.on('close', () => {
+    unsubscribeUser();
+    chatSubscriptions.forEach((unsubscribe, chatId) => {
+      unsubscribe();
+      publishPresence(chatId, 'offline');
+    });
+    chatSubscriptions.clear();
+    touchLastActive(userId);
+  });
 });
 
+// Drops connections that stopped answering pings
+let realtimeHeartbeat = null;
+const startRealtimeHeartbeat = () => {
+  realtimeHeartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, REALTIME_HEARTBEAT_MS);
+};
+
+// Start server
+const start = () => {
+  connectDatabase();
+  startRealtimeHeartbeat();
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 SwopTrader API Server running on port ${PORT}`);
+    console.log(`📡 Health check: http://localhost:${PORT}/health`);
+    console.log(`📚 API Base URL: http://localhost:${PORT}/api/v1`);
+    console.log(`🔌 Realtime: ws://localhost:${PORT}${REALTIME_PATH}`);
+  });
+};
+
+// Tests require this file without starting the server or connecting to MongoDB
+if (require.main === module) {
+  start();
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  mongoose.connection.close(() => {
+  stopScheduledJobs();
+  clearInterval(realtimeHeartbeat);
+  wss.clients.forEach((ws) => ws.close(1001, 'Server shutting down'));
+  mongoose.connection.close().then(() => {
     console.log('MongoDB connection closed');
     process.exit(0);
   });
 });
 
+// The background jobs are exported so tests can run a single pass without the scheduler
+const jobs = {
+  expireDueOffers,
+  sendMeetupReminders,
+  processNotificationOutbox,
+  pruneStaleDevices,
+  processSavedSearchMatches,
+  sendSavedSearchDigests
+};
 
+module.exports = { app, server, setIdTokenVerifier, jobs };
@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, model, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const admin = { token: 'admin:root' };
+const alice = { token: 'user:alice' };
+
+// Resolves with the audit entry once the response has finished
+const captureAuditLog = (t) => new Promise((resolve) => {
+  t.mock.method(model('AuditLog'), 'create', async (entry) => {
+    resolve(entry);
+    return entry;
+  });
+});
+
+test('admin routes refuse users without the admin claim or role', async (t) => {
+  stubNoRestrictions(t);
+  const find = stub(t, 'Report', 'find', []);
+
+  const response = await request('GET', '/api/v1/admin/reports', alice);
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'Admin access required');
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('the admin custom claim grants access', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'AuditLog', 'find', []);
+
+  const response = await request('GET', '/api/v1/admin/audit-log', admin);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data, []);
+});
+
+test('the ADMIN role grants access', async (t) => {
+  stub(t, 'User', 'exists', (filter) => (filter.id === 'alice' && filter.role === 'ADMIN' ? { _id: 'alice' } : null));
+  stub(t, 'AuditLog', 'find', []);
+
+  const response = await request('GET', '/api/v1/admin/audit-log', alice);
+  assert.equal(response.status, 200);
+});
+
+test('refused admin writes are still audited', async (t) => {
+  stubNoRestrictions(t);
+  const audited = captureAuditLog(t);
+
+  const response = await request('PUT', '/api/v1/admin/users/bob/role', { ...alice, body: { role: 'ADMIN' } });
+  assert.equal(response.status, 403);
+
+  const entry = await audited;
+  assert.equal(entry.actorId, 'alice');
+  assert.equal(entry.method, 'PUT');
+  assert.equal(entry.path, '/api/v1/admin/users/bob/role');
+  assert.equal(entry.statusCode, 403);
+});
+
+test('admins cannot change their own role', async (t) => {
+  stubNoRestrictions(t);
+  captureAuditLog(t);
+  const update = stub(t, 'User', 'findOneAndUpdate', null);
+
+  const response = await request('PUT', '/api/v1/admin/users/root/role', { ...admin, body: { role: 'USER' } });
+  assert.equal(response.status, 422);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+// Bob still exists; ghost's account is gone
+const stubOrphanedItems = (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Item', 'distinct', ['bob', 'ghost']);
+  stub(t, 'User', 'distinct', ['bob']);
+  stub(t, 'Item', 'find', [{ id: 'ghost-lamp', ownerId: 'ghost', isAvailable: true }]);
+  return stub(t, 'Item', 'updateMany', { modifiedCount: 1 });
+};
+
+test('a cleanup dry run lists orphaned items without archiving them', async (t) => {
+  const updateMany = stubOrphanedItems(t);
+  captureAuditLog(t);
+
+  const response = await request('DELETE', '/api/v1/admin/cleanup-orphaned-items?dryRun=true', admin);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.dryRun, true);
+  assert.equal(response.body.itemCount, 1);
+  assert.deepEqual(response.body.orphanedOwnerIds, ['ghost']);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
+
+test('a cleanup archives orphaned items and records the result', async (t) => {
+  const updateMany = stubOrphanedItems(t);
+  const audited = captureAuditLog(t);
+
+  const response = await request('DELETE', '/api/v1/admin/cleanup-orphaned-items', admin);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.archivedCount, 1);
+  assert.deepEqual(updateMany.mock.calls[0].arguments[0], { ownerId: { $in: ['ghost'] }, archivedAt: null });
+  assert.deepEqual((await audited).result, { archivedCount: 1, orphanedOwnerIds: ['ghost'] });
+});
+
+test('items hidden because their owner is suspended cannot be unhidden directly', async (t) => {
+  stubNoRestrictions(t);
+  captureAuditLog(t);
+  stub(t, 'Item', 'findOne', { id: 'item-1', hiddenReason: 'OWNER_SUSPENDED' });
+  const updateMany = stub(t, 'Item', 'updateMany', { modifiedCount: 1 });
+
+  const response = await request('POST', '/api/v1/admin/items/item-1/unhide', admin);
+  assert.equal(response.status, 409);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
+
+test('owners cannot edit or relist archived items', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Item', 'findOne', { id: 'item-1', ownerId: 'alice', uploadedImages: [], archivedAt: new Date() });
+  const update = stub(t, 'Item', 'findOneAndUpdate', null);
+
+  const response = await request('PUT', '/api/v1/items/item-1', { ...alice, body: { isAvailable: true } });
+  assert.equal(response.status, 409);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('archived items are left out of item search', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'User', 'findOne', null);
+  stub(t, 'User', 'distinct', []);
+  const aggregate = stub(t, 'Item', 'aggregate', [{ data: [], total: [], category: [], condition: [] }]);
+
+  const response = await request('GET', '/api/v1/items', alice);
+  assert.equal(response.status, 200);
+  assert.equal(aggregate.mock.calls[0].arguments[0][0].$match.archivedAt, null);
+});
@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+test('health check does not require a token', async () => {
+  const response = await request('GET', '/health');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, 'OK');
+});
+
+test('api routes reject requests without a bearer token', async () => {
+  const response = await request('GET', '/api/v1/items');
+  assert.equal(response.status, 401);
+  assert.deepEqual(response.body, { success: false, error: 'Authorization bearer token is required' });
+});
+
+test('api routes reject tokens the verifier refuses', async () => {
+  const response = await request('GET', '/api/v1/items', { token: 'forged' });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.error, 'Invalid or expired token');
+});
+
+test('the verified uid becomes the caller', async (t) => {
+  stubNoRestrictions(t);
+  const findOne = stub(t, 'User', 'findOne', { wishlist: { categories: ['books'], keywords: [] } });
+
+  const response = await request('GET', '/api/v1/users/alice/wishlist', { token: 'user:alice' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { id: 'alice' });
+});
+
+test('suspended users are refused', async (t) => {
+  stub(t, 'User', 'exists', (filter) => (filter.suspendedAt ? { _id: 'suspended' } : null));
+
+  const response = await request('GET', '/api/v1/users/alice/wishlist', { token: 'user:alice' });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'This account has been suspended');
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubTransactions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+// Bob has blocked Alice. Block lookups query both directions with $or; nobody is suspended.
+const stubBobBlocksAlice = (t) => stub(t, 'User', 'exists', (filter) => {
+  if (!filter.$or) {
+    return null;
+  }
+  const [byUser, byOthers] = filter.$or;
+  const userIds = [byUser.id, ...byOthers.id.$in];
+  return userIds.includes('alice') && userIds.includes('bob') ? { _id: 'bob' } : null;
+});
+
+test("a blocked user's items are hidden from the blocked user", async (t) => {
+  stubBobBlocksAlice(t);
+  stub(t, 'Item', 'findOne', (filter) => ({ id: filter.id, ownerId: filter.id === 'bobs-bike' ? 'bob' : 'carol' }));
+
+  const bobsItem = await request('GET', '/api/v1/items/bobs-bike', alice);
+  const carolsItem = await request('GET', '/api/v1/items/carols-bike', alice);
+  assert.equal(bobsItem.status, 404);
+  assert.equal(carolsItem.status, 200);
+});
+
+test('offers cannot be made between blocked users', async (t) => {
+  stubBobBlocksAlice(t);
+  stub(t, 'Item', 'findOne', { id: 'bobs-bike', ownerId: 'bob', isAvailable: true });
+  const countDocuments = stub(t, 'Item', 'countDocuments', 0);
+
+  const response = await request('POST', '/api/v1/offers', { ...alice, body: { id: 'offer-1', requestedItemId: 'bobs-bike' } });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'You cannot trade with this user');
+  assert.equal(countDocuments.mock.callCount(), 0);
+});
+
+test('pending offers cannot be accepted once either trader blocks the other', async (t) => {
+  stubBobBlocksAlice(t);
+  stubTransactions(t);
+  const save = t.mock.fn(async () => {});
+  stub(t, 'Offer', 'findOne', {
+    id: 'offer-1',
+    fromUserId: 'bob',
+    toUserId: 'alice',
+    requestedItemId: 'alices-lamp',
+    offeredItemIds: [],
+    status: 'PENDING',
+    save
+  });
+
+  const response = await request('POST', '/api/v1/offers/offer-1/accept', alice);
+  assert.equal(response.status, 403);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('messages cannot be sent between blocked users', async (t) => {
+  stubBobBlocksAlice(t);
+  const startSession = t.mock.method(require('mongoose'), 'startSession');
+  stub(t, 'Chat', 'findOne', { id: 'chat-1', participantIds: ['alice', 'bob'] });
+
+  const response = await request('POST', '/api/v1/chats/chat-1/messages', { ...alice, body: { id: 'message-1', message: 'Hi' } });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'You cannot message this user');
+  assert.equal(startSession.mock.callCount(), 0);
+});
+
+test('users cannot block themselves', async (t) => {
+  stubBobBlocksAlice(t);
+  const response = await request('POST', '/api/v1/users/alice/blocks', { ...alice, body: { userId: 'alice' } });
+  assert.equal(response.status, 422);
+});
+
+test('hidden items are left out of every item search', async (t) => {
+  stubBobBlocksAlice(t);
+  stub(t, 'User', 'findOne', null);
+  stub(t, 'User', 'distinct', []);
+  const aggregate = stub(t, 'Item', 'aggregate', [{ data: [], total: [], category: [], condition: [] }]);
+
+  for (const query of ['', '?near=51.5,-0.12', '?search=bike']) {
+    const response = await request('GET', `/api/v1/items${query}`, alice);
+    assert.equal(response.status, 200);
+  }
+  const [plain, nearby, text] = aggregate.mock.calls.map((call) => call.arguments[0][0]);
+  assert.equal(plain.$match.hiddenAt, null);
+  assert.equal(nearby.$geoNear.query.hiddenAt, null);
+  assert.equal(text.$match.hiddenAt, null);
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { startServer, stopServer, request, stub } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const feedPath = '/api/v1/users/alice/meetups.ics?token=secret';
+const inOneDay = Date.now() + 24 * 60 * 60 * 1000;
+
+const meetupOffer = (fields = {}, meetup = {}) => ({
+  id: 'offer-1',
+  fromUserId: 'bob',
+  toUserId: 'alice',
+  requestedItemId: 'item-1',
+  status: 'ACCEPTED',
+  createdAt: new Date('2026-01-01'),
+  ...fields,
+  meetup: { id: 'meetup-1', status: 'CONFIRMED', scheduledAt: inOneDay, sequence: 0, location: { name: 'Cafe' }, ...meetup }
+});
+
+// Alice holds the feed token "secret"; suspended says whether User.exists finds her suspended
+const stubFeed = (t, offers, { suspended = false } = {}) => {
+  stub(t, 'User', 'findOne', { calendarFeedTokenHash: crypto.createHash('sha256').update('secret').digest('hex') });
+  stub(t, 'User', 'exists', suspended ? { _id: 'alice' } : null);
+  stub(t, 'User', 'find', [{ id: 'bob', name: 'Bob' }]);
+  stub(t, 'Item', 'find', [{ id: 'item-1', name: 'Bike' }]);
+  return stub(t, 'Offer', 'find', offers);
+};
+
+const events = (calendar) => calendar.split('BEGIN:VEVENT').slice(1);
+
+test('the feed token serves the meetups as an iCalendar feed', async (t) => {
+  stubFeed(t, [meetupOffer()]);
+
+  const response = await request('GET', feedPath);
+  assert.equal(response.status, 200);
+  assert.match(response.body, /^BEGIN:VCALENDAR\r\n/);
+  const [event] = events(response.body);
+  assert.match(event, /UID:meetup-meetup-1@swoptrader/);
+  assert.match(event, /STATUS:CONFIRMED/);
+  assert.match(event, /SUMMARY:SwopTrader meetup with Bob/);
+  assert.match(event, /LOCATION:Cafe/);
+});
+
+test('a wrong feed token is refused', async (t) => {
+  const offers = stubFeed(t, []);
+
+  const response = await request('GET', '/api/v1/users/alice/meetups.ics?token=guess');
+  assert.equal(response.status, 401);
+  assert.equal(offers.mock.callCount(), 0);
+});
+
+test('a suspended user cannot read their feed with its token', async (t) => {
+  const offers = stubFeed(t, [meetupOffer()], { suspended: true });
+
+  const response = await request('GET', feedPath);
+  assert.equal(response.status, 403);
+  assert.equal(offers.mock.callCount(), 0);
+});
+
+test('a cancelled offer cancels its event with a newer sequence', async (t) => {
+  stubFeed(t, [meetupOffer({ status: 'CANCELLED' }, { sequence: 2 })]);
+
+  const [event] = events((await request('GET', feedPath)).body);
+  assert.match(event, /STATUS:CANCELLED/);
+  assert.match(event, /SEQUENCE:3/);
+  assert.match(event, /SUMMARY:Cancelled: /);
+});
+
+test('a meetup carried over by a counter offer is published once', async (t) => {
+  stubFeed(t, [
+    meetupOffer({ status: 'COUNTERED' }),
+    meetupOffer({ id: 'offer-2', fromUserId: 'alice', toUserId: 'bob', status: 'PENDING', createdAt: new Date('2026-01-02') }, { status: 'PROPOSED', sequence: 1 })
+  ]);
+
+  const calendar = (await request('GET', feedPath)).body;
+  assert.equal(events(calendar).length, 1);
+  assert.match(events(calendar)[0], /STATUS:TENTATIVE/);
+  assert.match(events(calendar)[0], /SEQUENCE:1/);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+const sentAt = new Date('2026-01-02T10:00:00.000Z');
+
+const stubChat = (t, { message = { id: 'm2', timestamp: sentAt }, modifiedCount = 2 } = {}) => {
+  stubNoRestrictions(t);
+  stub(t, 'Chat', 'findOne', { participantIds: ['alice', 'bob'] });
+  const lookup = stub(t, 'ChatMessage', 'findOne', message);
+  const markRead = stub(t, 'ChatMessage', 'updateMany', { modifiedCount });
+  return { lookup, markRead };
+};
+
+test('reading up to a message marks the other side\'s earlier messages read', async (t) => {
+  const { markRead } = stubChat(t);
+
+  const response = await request('POST', '/api/v1/chats/chat-1/read', { ...alice, body: { messageId: 'm2' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.markedCount, 2);
+  assert.equal(response.body.data.upToMessageId, 'm2');
+
+  const [filter, update] = markRead.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    chatId: 'chat-1',
+    senderId: { $ne: 'alice' },
+    isRead: false,
+    $or: [{ timestamp: { $lt: sentAt } }, { timestamp: sentAt, id: { $lte: 'm2' } }]
+  });
+  assert.equal(update.isRead, true);
+  assert.ok(update.readAt instanceof Date);
+});
+
+test('reading without a message id reads up to the latest message', async (t) => {
+  const { lookup } = stubChat(t);
+
+  const response = await request('POST', '/api/v1/chats/chat-1/read', { ...alice, body: {} });
+  assert.equal(response.status, 200);
+  assert.deepEqual(lookup.mock.calls[1].arguments[0], { id: 'm2', chatId: 'chat-1' });
+});
+
+test('reading an empty chat marks nothing', async (t) => {
+  const { markRead } = stubChat(t, { message: null });
+
+  const response = await request('POST', '/api/v1/chats/chat-1/read', { ...alice, body: {} });
+  assert.deepEqual(response.body.data, { chatId: 'chat-1', markedCount: 0 });
+  assert.equal(markRead.mock.callCount(), 0);
+});
+
+test('only participants can mark a chat read, up to a message of that chat', async (t) => {
+  const { markRead } = stubChat(t, { message: null });
+
+  const outsider = await request('POST', '/api/v1/chats/chat-1/read', { token: 'user:carol', body: { messageId: 'm2' } });
+  const unknown = await request('POST', '/api/v1/chats/chat-1/read', { ...alice, body: { messageId: 'elsewhere' } });
+  assert.equal(outsider.status, 403);
+  assert.equal(unknown.status, 404);
+  assert.equal(markRead.mock.callCount(), 0);
+});
+
+test('unread counts add up per chat and include the notification inbox', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Chat', 'distinct', ['chat-1', 'chat-2', 'chat-3']);
+  const counts = stub(t, 'ChatMessage', 'aggregate', [{ _id: 'chat-1', count: 3 }, { _id: 'chat-3', count: 1 }]);
+  stub(t, 'InboxNotification', 'countDocuments', 5);
+
+  const response = await request('GET', '/api/v1/users/alice/unread', alice);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data, {
+    totalUnread: 4,
+    chatsWithUnread: 2,
+    chats: [{ chatId: 'chat-1', unreadCount: 3 }, { chatId: 'chat-3', unreadCount: 1 }],
+    notificationsUnread: 5
+  });
+  assert.deepEqual(counts.mock.calls[0].arguments[0][0].$match, {
+    chatId: { $in: ['chat-1', 'chat-2', 'chat-3'] },
+    isRead: false,
+    senderId: { $ne: 'alice' }
+  });
+
+  const someoneElse = await request('GET', '/api/v1/users/bob/unread', alice);
+  assert.equal(someoneElse.status, 403);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions, stubTransactions, jobs } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+// previous are the devices already holding the device id or the token
+const stubRegistry = (t, previous = []) => {
+  stubNoRestrictions(t);
+  stubTransactions(t);
+  stub(t, 'Device', 'find', previous);
+  const removeOthers = stub(t, 'Device', 'deleteMany', {});
+  const upsert = stub(t, 'Device', 'findOneAndUpdate', (filter, update) => ({ deviceId: filter.deviceId, ...update.$set }));
+  const detach = stub(t, 'User', 'updateOne', {});
+  const addToken = stub(t, 'User', 'findOneAndUpdate', { fcmTokens: ['fcm-new'] });
+  return { removeOthers, upsert, detach, addToken };
+};
+
+test('registering a device upserts it and mirrors its token on the user', async (t) => {
+  const { upsert, addToken, detach } = stubRegistry(t);
+
+  const response = await request('POST', '/api/v1/notifications/token', {
+    ...alice,
+    body: { token: 'fcm-new', deviceId: 'phone-1', platform: 'ios', appVersion: '2.1.0' }
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.tokens, ['fcm-new']);
+
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  assert.deepEqual(filter, { deviceId: 'phone-1' });
+  assert.equal(update.$set.userId, 'alice');
+  assert.equal(update.$set.token, 'fcm-new');
+  assert.equal(update.$set.platform, 'ios');
+  assert.equal(update.$set.appVersion, '2.1.0');
+  assert.equal(options.upsert, true);
+  assert.deepEqual(addToken.mock.calls[0].arguments[1].$addToSet, { fcmTokens: 'fcm-new' });
+  assert.equal(detach.mock.callCount(), 0);
+});
+
+test('a new token replaces the device\'s old one and leaves other accounts', async (t) => {
+  const { removeOthers, detach } = stubRegistry(t, [
+    { deviceId: 'phone-1', userId: 'alice', token: 'fcm-old' },
+    { deviceId: 'phone-2', userId: 'bob', token: 'fcm-new' }
+  ]);
+
+  await request('POST', '/api/v1/notifications/token', { ...alice, body: { token: 'fcm-new', deviceId: 'phone-1' } });
+
+  assert.deepEqual(detach.mock.calls.map((call) => [call.arguments[0].id, call.arguments[1].$pull.fcmTokens]), [
+    ['alice', 'fcm-old'],
+    ['bob', 'fcm-new']
+  ]);
+  assert.deepEqual(removeOthers.mock.calls[0].arguments[0], { token: 'fcm-new', deviceId: { $ne: 'phone-1' } });
+});
+
+test('apps that send no device id are keyed by their token', async (t) => {
+  const { upsert } = stubRegistry(t);
+
+  await request('POST', '/api/v1/notifications/token', { ...alice, body: { token: 'fcm-new' } });
+  await request('POST', '/api/v1/notifications/token', { ...alice, body: { token: 'fcm-new' } });
+
+  const [first, second] = upsert.mock.calls.map((call) => call.arguments[0].deviceId);
+  assert.match(first, /^legacy-[0-9a-f]{32}$/);
+  assert.equal(first, second);
+});
+
+test('unregistering removes the caller\'s device and its token', async (t) => {
+  stubNoRestrictions(t);
+  stubTransactions(t);
+  stub(t, 'Device', 'find', [{ deviceId: 'phone-1', userId: 'alice', token: 'fcm-1' }]);
+  const remove = stub(t, 'Device', 'deleteMany', {});
+  const pull = stub(t, 'User', 'updateOne', {});
+
+  const response = await request('DELETE', '/api/v1/notifications/token', { ...alice, body: { deviceId: 'phone-1' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.removedCount, 1);
+  assert.deepEqual(remove.mock.calls[0].arguments[0], { userId: 'alice', deviceId: 'phone-1' });
+  assert.deepEqual(pull.mock.calls[0].arguments[1].$pull, { fcmTokens: { $in: ['fcm-1'] } });
+});
+
+test('the device list never exposes tokens', async (t) => {
+  stubNoRestrictions(t);
+  const find = stub(t, 'Device', 'find', [{ deviceId: 'phone-1', platform: 'ios' }]);
+
+  const response = await request('GET', '/api/v1/notifications/devices', alice);
+  assert.deepEqual(response.body.data, [{ deviceId: 'phone-1', platform: 'ios' }]);
+  assert.deepEqual(find.mock.calls[0].arguments, [{ userId: 'alice' }, { _id: 0, __v: 0, token: 0 }]);
+});
+
+test('devices that stopped checking in are pruned with their tokens', async (t) => {
+  const startedAt = Date.now();
+  const find = stub(t, 'Device', 'find', [{ deviceId: 'phone-1' }, { deviceId: 'phone-2' }]);
+  // phone-2 checked in again after the sweep listed it
+  const remove = stub(t, 'Device', 'findOneAndDelete', (filter) => (filter.deviceId === 'phone-1'
+    ? { deviceId: 'phone-1', userId: 'alice', token: 'fcm-1' }
+    : null));
+  const pull = stub(t, 'User', 'updateOne', {});
+  t.mock.method(console, 'log', () => {});
+
+  await jobs.pruneStaleDevices();
+
+  const cutoff = find.mock.calls[0].arguments[0].lastSeenAt.$lt.getTime();
+  assert.ok(Math.abs(startedAt - 60 * 24 * 60 * 60 * 1000 - cutoff) < 5000);
+  assert.equal(remove.mock.calls[1].arguments[0].lastSeenAt.$lt.getTime(), cutoff);
+  assert.deepEqual(pull.mock.calls.map((call) => [call.arguments[0].id, call.arguments[1].$pull.fcmTokens]), [['alice', 'fcm-1']]);
+});
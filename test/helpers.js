@@ -0,0 +1,115 @@
+// Shared setup for the API tests. The server runs without MongoDB: tests stub the model
+// methods a route calls, and any query left unstubbed fails straight away instead of
+// waiting for a connection. Firebase is replaced by a stub token verifier, and pushes go
+// to a Firebase app without credentials whose sends the tests stub.
+const admin = require('firebase-admin');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const { server, setIdTokenVerifier, jobs } = require('../server');
+
+// "user:<uid>" authenticates as uid; "admin:<uid>" also carries the admin custom claim
+setIdTokenVerifier(async (idToken) => {
+  const [kind, uid] = idToken.split(':');
+  if (!uid || !['user', 'admin'].includes(kind)) {
+    throw new Error('Invalid token');
+  }
+  return kind === 'admin' ? { uid, admin: true } : { uid };
+});
+
+let baseUrl;
+
+const startServer = () => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+});
+
+const stopServer = () => new Promise((resolve) => server.close(resolve));
+
+const getBaseUrl = () => baseUrl;
+
+const request = async (method, path, { token, body, headers = {} } = {}) => {
+  const isForm = body instanceof FormData;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(body !== undefined && !isForm && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: body === undefined || isForm || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    json = undefined;
+  }
+  return { status: response.status, body: json ?? text };
+};
+
+// Stands in for a mongoose Query: chainable, and resolves to value when awaited
+const queryResult = (value) => {
+  const query = {
+    session: () => query,
+    sort: () => query,
+    select: () => query,
+    lean: () => query,
+    limit: () => query,
+    skip: () => query,
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: (reject) => Promise.resolve(value).catch(reject)
+  };
+  return query;
+};
+
+const model = (name) => mongoose.model(name);
+
+// Replaces Model[method] for the current test; respond receives the call's arguments
+const stub = (t, name, method, respond) => {
+  return t.mock.method(model(name), method, (...args) => queryResult(typeof respond === 'function' ? respond(...args) : respond));
+};
+
+// Nobody is suspended, an admin by role or blocked unless a test says otherwise
+const stubNoRestrictions = (t) => stub(t, 'User', 'exists', null);
+
+// Replaces the multicast push send; respond receives the message and returns the
+// per-token results (default: every token accepts it)
+const stubPush = (t, respond = (message) => message.tokens.map(() => ({ success: true }))) => {
+  if (!admin.apps.length) {
+    admin.initializeApp({ projectId: 'swoptrader-test' });
+  }
+  return t.mock.method(admin.messaging(), 'sendEachForMulticast', async (message) => {
+    const responses = await respond(message);
+    const successCount = responses.filter((response) => response.success).length;
+    return { successCount, failureCount: responses.length - successCount, responses };
+  });
+};
+
+// Runs withTransaction callbacks without a database session
+const stubTransactions = (t) => {
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (work) => work(),
+    endSession: async () => {}
+  }));
+};
+
+module.exports = {
+  startServer,
+  stopServer,
+  baseUrl: getBaseUrl,
+  request,
+  queryResult,
+  model,
+  stub,
+  stubNoRestrictions,
+  stubTransactions,
+  stubPush,
+  jobs
+};
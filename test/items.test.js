@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, model, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+// Serves one page of GET /api/v1/items; returns the Item.aggregate stub to inspect the pipeline
+const stubItemSearch = (t, data = [], { total = data.length, category = [], condition = [] } = {}) => {
+  stubNoRestrictions(t);
+  stub(t, 'User', 'findOne', null);
+  stub(t, 'User', 'distinct', []);
+  return stub(t, 'Item', 'aggregate', [{ data, total: total ? [{ count: total }] : [], category, condition }]);
+};
+
+const pipelineOf = (aggregate) => aggregate.mock.calls[0].arguments[0];
+
+test('items near a point come nearest first within the radius', async (t) => {
+  const aggregate = stubItemSearch(t, [{ id: 'item-1', distanceKm: 1.23 }]);
+
+  const response = await request('GET', '/api/v1/items?near=51.5,-0.12&radiusKm=5', alice);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data[0].distanceKm, 1.23);
+
+  const [{ $geoNear }, { $facet }] = pipelineOf(aggregate);
+  assert.deepEqual($geoNear.near, { type: 'Point', coordinates: [-0.12, 51.5] });
+  assert.equal($geoNear.key, 'location');
+  assert.equal($geoNear.maxDistance, 5000);
+  assert.equal($geoNear.distanceMultiplier, 0.001);
+  assert.deepEqual($geoNear.query, { isAvailable: true, hiddenAt: null, archivedAt: null });
+  assert.deepEqual($facet.data[1], { $sort: { distanceKm: 1, _id: 1 } });
+  assert.deepEqual($facet.data.at(-1), { $addFields: { distanceKm: { $round: ['$distanceKm', 2] } } });
+});
+
+test('the radius defaults to 25 km', async (t) => {
+  const aggregate = stubItemSearch(t);
+
+  await request('GET', '/api/v1/items?near=51.5,-0.12', alice);
+  assert.equal(pipelineOf(aggregate)[0].$geoNear.maxDistance, 25000);
+});
+
+test('malformed points and radii are refused', async (t) => {
+  const aggregate = stubItemSearch(t);
+
+  for (const query of ['near=north', 'near=91,0', 'near=51.5,-0.12&radiusKm=0', 'near=51.5,-0.12&radiusKm=501', 'sort=distance']) {
+    const response = await request('GET', `/api/v1/items?${query}`, alice);
+    assert.equal(response.status, 400, query);
+  }
+  assert.equal(aggregate.mock.callCount(), 0);
+});
+
+test('a listing without a location is placed at its owner', async (t) => {
+  stubNoRestrictions(t);
+  const home = { type: 'Point', coordinates: [-0.12, 51.5] };
+  stub(t, 'User', 'findOne', { geo: { ...home, toObject: () => home } });
+  t.mock.method(model('Item').prototype, 'save', async function () {
+    return this;
+  });
+
+  const response = await request('POST', '/api/v1/items', {
+    ...alice,
+    body: { id: 'item-1', name: 'Bike', description: 'Red bike', category: 'Sports', condition: 'Good' }
+  });
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body.data.location, home);
+});
+
+test('a listing with a location is placed there', async (t) => {
+  stubNoRestrictions(t);
+  const ownerLookup = stub(t, 'User', 'findOne', null);
+  t.mock.method(model('Item').prototype, 'save', async function () {
+    return this;
+  });
+
+  const response = await request('POST', '/api/v1/items', {
+    ...alice,
+    body: { id: 'item-1', name: 'Bike', description: 'Red bike', category: 'Sports', condition: 'Good', location: { latitude: 48.85, longitude: 2.35 } }
+  });
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body.data.location, { type: 'Point', coordinates: [2.35, 48.85] });
+  assert.equal(ownerLookup.mock.callCount(), 0);
+});
+
+test('a search ranks text matches by relevance', async (t) => {
+  const aggregate = stubItemSearch(t, [{ id: 'item-1', score: 1.5 }]);
+
+  const response = await request('GET', '/api/v1/items?search=%20red%20bike%20', alice);
+  assert.equal(response.status, 200);
+
+  const [{ $match }, { $addFields }, { $facet }] = pipelineOf(aggregate);
+  assert.deepEqual($match, { isAvailable: true, hiddenAt: null, archivedAt: null, $text: { $search: 'red bike' } });
+  assert.deepEqual($addFields, { score: { $meta: 'textScore' } });
+  assert.deepEqual($facet.data[1], { $sort: { score: -1, createdAt: -1, _id: -1 } });
+});
+
+test('a search near a point filters by radius and reports distances', async (t) => {
+  const aggregate = stubItemSearch(t);
+
+  await request('GET', '/api/v1/items?search=bike&near=51.5,-0.12&radiusKm=10&sort=distance', alice);
+  const [{ $match }, , { $addFields }, { $facet }] = pipelineOf(aggregate);
+  assert.deepEqual($match.location.$geoWithin.$centerSphere[0], [-0.12, 51.5]);
+  assert.ok($addFields.distanceKm);
+  assert.deepEqual($facet.data[1], { $sort: { distanceKm: 1, _id: 1 } });
+});
+
+test('each facet counts the other filter but not its own', async (t) => {
+  const category = [{ value: 'Sports', count: 3 }, { value: 'Books', count: 1 }];
+  const condition = [{ value: 'Good', count: 2 }];
+  const aggregate = stubItemSearch(t, [{ id: 'item-1' }], { total: 2, category, condition });
+
+  const response = await request('GET', '/api/v1/items?category=Sports,Books&condition=Good', alice);
+  assert.deepEqual(response.body.facets, { category, condition });
+  assert.equal(response.body.pagination.total, 2);
+
+  const { $facet } = pipelineOf(aggregate)[1];
+  const categoryFilter = { category: { $in: ['Sports', 'Books'] } };
+  const conditionFilter = { condition: { $in: ['Good'] } };
+  assert.deepEqual($facet.data[0], { $match: { ...categoryFilter, ...conditionFilter } });
+  assert.deepEqual($facet.total[0], { $match: { ...categoryFilter, ...conditionFilter } });
+  assert.deepEqual($facet.category[0], { $match: conditionFilter });
+  assert.deepEqual($facet.condition[0], { $match: categoryFilter });
+});
+
+test('unknown sorts, relevance without a search and long searches are refused', async (t) => {
+  const aggregate = stubItemSearch(t);
+
+  for (const query of ['sort=cheapest', 'sort=relevance', `search=${'a'.repeat(201)}`]) {
+    const response = await request('GET', `/api/v1/items?${query}`, alice);
+    assert.equal(response.status, 400, query);
+  }
+  assert.equal(aggregate.mock.callCount(), 0);
+});
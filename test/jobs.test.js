@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, stub, stubTransactions, jobs } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const overdueOffer = (id) => ({ id, fromUserId: 'bob', toUserId: 'alice', requestedItemId: 'item-1', status: 'PENDING' });
+
+// Offer.find serves the given batches in turn; returns the offers the sweep moved and the pushes it queued
+const stubExpiry = (t, batches, { alreadyMoved = [] } = {}) => {
+  stubTransactions(t);
+  const find = stub(t, 'Offer', 'find', () => batches.shift() || []);
+  const expire = stub(t, 'Offer', 'updateOne', (filter) => ({ modifiedCount: alreadyMoved.includes(filter.id) ? 0 : 1 }));
+  stub(t, 'User', 'find', []);
+  stub(t, 'Item', 'findOne', { name: 'Bike' });
+  const notify = stub(t, 'NotificationOutbox', 'create', ([entry]) => [entry]);
+  return { find, expire, notify };
+};
+
+test('the expiry sweep expires overdue offers and tells both traders', async (t) => {
+  const { find, expire, notify } = stubExpiry(t, [[overdueOffer('offer-1'), overdueOffer('offer-2')]], { alreadyMoved: ['offer-2'] });
+
+  await jobs.expireDueOffers();
+
+  assert.equal(find.mock.calls[0].arguments[0].status, 'PENDING');
+  assert.ok(find.mock.calls[0].arguments[0].expiresAt.$lte instanceof Date);
+  assert.deepEqual(expire.mock.calls[0].arguments[0], { id: 'offer-1', status: 'PENDING' });
+  assert.equal(expire.mock.calls[0].arguments[1].status, 'EXPIRED');
+  // offer-2 was accepted or withdrawn in the meantime, so nobody hears about it expiring
+  assert.deepEqual(notify.mock.calls.map((call) => [call.arguments[0][0].userId, call.arguments[0][0].context.status]), [
+    ['bob', 'EXPIRED'],
+    ['alice', 'EXPIRED']
+  ]);
+});
+
+test('a full batch is followed by another until the backlog is cleared', async (t) => {
+  const fullBatch = Array.from({ length: 100 }, (_, index) => overdueOffer(`offer-${index}`));
+  const { find, expire } = stubExpiry(t, [fullBatch, [overdueOffer('offer-last')]]);
+
+  await jobs.expireDueOffers();
+
+  assert.equal(find.mock.callCount(), 2);
+  assert.equal(expire.mock.callCount(), 101);
+});
+
+test('a sweep stops between batches once its lease is lost', async (t) => {
+  const fullBatch = Array.from({ length: 100 }, (_, index) => overdueOffer(`offer-${index}`));
+  const { find } = stubExpiry(t, [fullBatch, fullBatch]);
+  const leaseChecks = [true, false];
+
+  await jobs.expireDueOffers(async () => leaseChecks.shift());
+
+  assert.equal(find.mock.callCount(), 1);
+});
+
+test('the outbox worker stops claiming entries once its lease is lost', async (t) => {
+  const claim = stub(t, 'NotificationOutbox', 'findOneAndUpdate', null);
+
+  await jobs.processNotificationOutbox(async () => false);
+
+  assert.equal(claim.mock.callCount(), 0);
+});
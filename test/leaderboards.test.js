@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+const trader = (id, fields) => ({ id, name: id, level: 1, ...fields });
+
+test('all-time boards rank tied traders together and place the caller', async (t) => {
+  stubNoRestrictions(t);
+  const find = stub(t, 'User', 'find', [
+    trader('bob', { tradeScore: 30 }),
+    trader('carol', { tradeScore: 30 }),
+    trader('dan', { tradeScore: 12 })
+  ]);
+  stub(t, 'User', 'findOne', { tradeScore: 8 });
+  const ahead = stub(t, 'User', 'countDocuments', 3);
+
+  const response = await request('GET', '/api/v1/leaderboards/tradeScore?limit=3', alice);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.entries.map((entry) => [entry.userId, entry.rank, entry.value]), [
+    ['bob', 1, 30],
+    ['carol', 1, 30],
+    ['dan', 3, 12]
+  ]);
+  assert.deepEqual(response.body.data.me, { rank: 4, value: 8 });
+  assert.deepEqual(find.mock.calls[0].arguments[0], {});
+  assert.deepEqual(ahead.mock.calls[0].arguments[0], { tradeScore: { $gt: 8 } });
+});
+
+test('windowed boards sum trades completed since the start of the week', async (t) => {
+  stubNoRestrictions(t);
+  const aggregate = stub(t, 'TradeHistory', 'aggregate', (pipeline) => (pipeline.at(-1).$facet
+    ? [{ top: [{ _id: 'bob', value: 40, user: trader('bob') }], me: [{ _id: 'alice', value: 15 }] }]
+    : [{ count: 1 }]));
+
+  const response = await request('GET', '/api/v1/leaderboards/carbonSaved?window=weekly', alice);
+  assert.equal(response.status, 200);
+  const { windowStart, entries, me } = response.body.data;
+  assert.equal(new Date(windowStart).getUTCDay(), 1);
+  assert.ok(Date.now() - new Date(windowStart) < 7 * 24 * 60 * 60 * 1000);
+  assert.deepEqual(aggregate.mock.calls[0].arguments[0][0], { $match: { completedAt: { $gte: new Date(windowStart) } } });
+  assert.deepEqual(entries.map((entry) => [entry.userId, entry.rank, entry.value]), [['bob', 1, 40]]);
+  assert.deepEqual(me, { rank: 2, value: 15 });
+});
+
+test('boards can be scoped to a radius around a point', async (t) => {
+  stubNoRestrictions(t);
+  const find = stub(t, 'User', 'find', []);
+  stub(t, 'User', 'findOne', null);
+
+  const response = await request('GET', '/api/v1/leaderboards/level?near=51.5,-0.12&radiusKm=10', alice);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.scope, { near: { latitude: 51.5, longitude: -0.12 }, radiusKm: 10 });
+  assert.deepEqual(find.mock.calls[0].arguments[0].geo.$geoWithin.$centerSphere[0], [-0.12, 51.5]);
+  assert.equal(response.body.data.me, null);
+});
+
+test('unknown metrics and windows, and windowed level boards, are refused', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'User', 'findOne', { location: null });
+
+  for (const path of [
+    '/api/v1/leaderboards/followers',
+    '/api/v1/leaderboards/tradeScore?window=yearly',
+    '/api/v1/leaderboards/level?window=monthly',
+    '/api/v1/leaderboards/tradeScore?radiusKm=10'
+  ]) {
+    const response = await request('GET', path, alice);
+    assert.equal(response.status, 400, path);
+  }
+});
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+const item = (id, ownerId, category, name = id) => ({ id, ownerId, category, name, description: '', condition: 'Good' });
+const trader = (id, wishlist, fields = {}) => ({ id, name: id, wishlist: { categories: [], keywords: [], ...wishlist }, ...fields });
+
+// Alice lists a bike and wants books. Bob has a book and wants sports gear; Carol has a book
+// and wants a lamp; Dan wants a bike and has a lamp.
+const traders = {
+  alice: trader('alice', { categories: ['books'] }),
+  bob: trader('bob', { categories: ['sports'] }, { ratingAverage: 5, ratingCount: 20 }),
+  carol: trader('carol', { keywords: ['lamp'] }),
+  dan: trader('dan', { keywords: ['bike'] })
+};
+const items = [
+  item('bike', 'alice', 'Sports', 'Road bike'),
+  item('novel', 'bob', 'Books'),
+  item('atlas', 'carol', 'Books'),
+  item('lamp', 'dan', 'Home', 'Desk lamp')
+];
+
+const stubMarket = (t, { blockedByAlice = [] } = {}) => {
+  stubNoRestrictions(t);
+  stub(t, 'User', 'findOne', (filter) => ({ ...traders[filter.id], blockedUserIds: filter.id === 'alice' ? blockedByAlice : [] }));
+  stub(t, 'User', 'distinct', []);
+  const findUsers = stub(t, 'User', 'find', (filter) => {
+    const ids = filter.id.$in || Object.keys(traders).filter((id) => !filter.id.$nin.includes(id));
+    return ids.map((id) => traders[id]);
+  });
+  const findItems = stub(t, 'Item', 'find', (filter) => {
+    if (typeof filter.ownerId === 'string') {
+      return items.filter((entry) => entry.ownerId === filter.ownerId);
+    }
+    if (filter.ownerId.$in) {
+      return items.filter((entry) => filter.ownerId.$in.includes(entry.ownerId));
+    }
+    // The items Alice wants: books from anyone she has not excluded
+    return items.filter((entry) => entry.category === 'Books' && !filter.ownerId.$nin.includes(entry.ownerId));
+  });
+  return { findUsers, findItems };
+};
+
+test('a mutual match is an item you want from a trader who wants yours', async (t) => {
+  const { findItems } = stubMarket(t);
+
+  const response = await request('GET', '/api/v1/users/alice/matches', alice);
+  assert.equal(response.status, 200);
+  const { mutual } = response.body.data;
+  assert.deepEqual(mutual.map((match) => [match.item.id, match.owner.userId, match.wantsYourItems.map((entry) => entry.id)]), [
+    ['novel', 'bob', ['bike']]
+  ]);
+  assert.equal(mutual[0].distanceKm, null);
+  assert.equal(response.body.radiusKm, null);
+
+  const [myItems] = findItems.mock.calls[0].arguments;
+  assert.deepEqual(myItems, { ownerId: 'alice', isAvailable: true, hiddenAt: null, archivedAt: null });
+});
+
+test('a trade cycle closes the loop through a third trader', async (t) => {
+  stubMarket(t);
+
+  const response = await request('GET', '/api/v1/users/alice/matches', alice);
+  const { cycles } = response.body.data;
+  assert.equal(cycles.length, 1);
+  assert.deepEqual(cycles[0].traders.map((entry) => entry.userId), ['alice', 'dan', 'carol']);
+  assert.deepEqual(cycles[0].legs.map(({ fromUserId, toUserId, item: { id } }) => [fromUserId, toUserId, id]), [
+    ['alice', 'dan', 'bike'],
+    ['dan', 'carol', 'lamp'],
+    ['carol', 'alice', 'atlas']
+  ]);
+});
+
+test('better rated traders score higher', async (t) => {
+  stubMarket(t);
+
+  const response = await request('GET', '/api/v1/users/alice/matches', alice);
+  const { mutual, cycles } = response.body.data;
+  // Without locations only reputation counts: Bob is well rated, Carol and Dan are unrated
+  assert.ok(mutual[0].score > cycles[0].score);
+  assert.equal(cycles[0].score, 0.25);
+});
+
+test('blocked traders are left out of candidates', async (t) => {
+  const { findUsers, findItems } = stubMarket(t, { blockedByAlice: ['bob'] });
+
+  const response = await request('GET', '/api/v1/users/alice/matches', alice);
+  assert.deepEqual(response.body.data.mutual, []);
+  assert.deepEqual(findItems.mock.calls[1].arguments[0].ownerId, { $nin: ['alice', 'bob'] });
+  assert.deepEqual(findUsers.mock.calls[0].arguments[0].id, { $nin: ['alice', 'bob'] });
+});
+
+test('matches are only shown to their owner', async (t) => {
+  stubMarket(t);
+
+  const response = await request('GET', '/api/v1/users/bob/matches', alice);
+  assert.equal(response.status, 403);
+});
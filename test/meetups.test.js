@@ -0,0 +1,188 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, model, stub, stubNoRestrictions, stubTransactions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+const bob = { token: 'user:bob' };
+const inOneHour = () => Date.now() + 60 * 60 * 1000;
+const inOneDay = () => Date.now() + 24 * 60 * 60 * 1000;
+
+// Bob's offer for Alice's item as a real document, so meetup changes go through the schema.
+// Returns the pushes queued and how often the offer was saved.
+const stubMeetupOffer = (t, meetup, fields = {}) => {
+  stubNoRestrictions(t);
+  stubTransactions(t);
+  const offer = new (model('Offer'))({
+    id: 'offer-1',
+    fromUserId: 'bob',
+    toUserId: 'alice',
+    requestedItemId: 'item-1',
+    offeredItemIds: ['item-2'],
+    status: 'ACCEPTED',
+    ...fields,
+    ...(meetup && { meetup })
+  });
+  const saves = t.mock.method(offer, 'save', async () => offer);
+  stub(t, 'Offer', 'findOne', offer);
+  stub(t, 'User', 'find', [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }]);
+  const notify = stub(t, 'NotificationOutbox', 'create', ([entry]) => [entry]);
+  return { offer, saves, notify };
+};
+
+const proposed = (fields = {}) => ({
+  id: 'meetup-1',
+  status: 'PROPOSED',
+  proposedBy: 'bob',
+  scheduledAt: inOneDay(),
+  location: { name: 'Cafe', latitude: 51.5, longitude: -0.12 },
+  sequence: 1,
+  ...fields
+});
+
+const pushed = (notify) => notify.mock.calls.map((call) => {
+  const [entry] = call.arguments[0];
+  return [entry.type, entry.userId, entry.context.change];
+});
+
+test('a proposal is sent to the other trader', async (t) => {
+  const { notify } = stubMeetupOffer(t, null, { status: 'PENDING' });
+  const scheduledAt = inOneDay();
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup', {
+    ...bob,
+    body: { scheduledAt, location: { name: 'Cafe', latitude: 51.5, longitude: -0.12 }, notes: 'By the door' }
+  });
+  assert.equal(response.status, 201);
+  const meetup = response.body.data;
+  assert.equal(meetup.status, 'PROPOSED');
+  assert.equal(meetup.proposedBy, 'bob');
+  assert.equal(meetup.scheduledAt, scheduledAt);
+  assert.equal(meetup.location.name, 'Cafe');
+  assert.equal(meetup.sequence, 1);
+  assert.deepEqual(pushed(notify), [['MEETUP_SCHEDULED', 'alice', undefined]]);
+});
+
+test('meetups at a safe spot take the spot\'s place', async (t) => {
+  stubMeetupOffer(t, null);
+  stub(t, 'SafeMeetupSpot', 'findOne', {
+    id: 'spot-1',
+    name: 'Police station',
+    address: '1 High St',
+    location: { type: 'Point', coordinates: [-0.1, 51.4] }
+  });
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup', { ...bob, body: { scheduledAt: inOneDay(), safeSpotId: 'spot-1' } });
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body.data.location, {
+    latitude: 51.4,
+    longitude: -0.1,
+    name: 'Police station',
+    address: '1 High St',
+    type: 'SAFE_SPOT',
+    safeSpotId: 'spot-1'
+  });
+});
+
+test('a second proposal is refused while one is open', async (t) => {
+  const { saves } = stubMeetupOffer(t, proposed());
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup', {
+    ...alice,
+    body: { scheduledAt: inOneDay(), location: { name: 'Park', latitude: 51.5, longitude: -0.12 } }
+  });
+  assert.equal(response.status, 409);
+  assert.equal(saves.mock.callCount(), 0);
+});
+
+test('only the other trader accepts a proposal', async (t) => {
+  const { notify } = stubMeetupOffer(t, proposed());
+
+  const own = await request('POST', '/api/v1/offers/offer-1/meetup/accept', { ...bob, body: {} });
+  assert.equal(own.status, 403);
+
+  const accepted = await request('POST', '/api/v1/offers/offer-1/meetup/accept', { ...alice, body: {} });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.data.status, 'PENDING');
+  assert.ok(accepted.body.data.acceptedAt);
+  assert.deepEqual(pushed(notify), [['MEETUP_UPDATED', 'bob', 'ACCEPTED']]);
+});
+
+test('rescheduling makes a new proposal that keeps the place', async (t) => {
+  stubMeetupOffer(t, proposed({ status: 'PENDING', acceptedAt: Date.now() }));
+  const scheduledAt = inOneDay() + 60 * 60 * 1000;
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup/reschedule', { ...alice, body: { scheduledAt } });
+  assert.equal(response.status, 200);
+  const meetup = response.body.data;
+  assert.equal(meetup.id, 'meetup-1');
+  assert.equal(meetup.status, 'PROPOSED');
+  assert.equal(meetup.proposedBy, 'alice');
+  assert.equal(meetup.scheduledAt, scheduledAt);
+  assert.equal(meetup.location.name, 'Cafe');
+  assert.equal(meetup.sequence, 2);
+});
+
+test('check-in opens two hours before the meetup', async (t) => {
+  const { saves } = stubMeetupOffer(t, proposed({ status: 'PENDING' }));
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup/check-in', { ...alice, body: {} });
+  assert.equal(response.status, 409);
+  assert.equal(saves.mock.callCount(), 0);
+});
+
+test('both traders check in before the meetup can be completed', async (t) => {
+  stubMeetupOffer(t, proposed({ status: 'PENDING', scheduledAt: inOneHour() }));
+
+  const first = await request('POST', '/api/v1/offers/offer-1/meetup/check-in', {
+    ...alice,
+    body: { location: { latitude: 51.5, longitude: -0.12 } }
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.status, 'IN_PROGRESS');
+  assert.deepEqual(first.body.data.checkIns.map(({ userId, latitude }) => [userId, latitude]), [['alice', 51.5]]);
+
+  const again = await request('POST', '/api/v1/offers/offer-1/meetup/check-in', { ...alice, body: {} });
+  assert.equal(again.status, 409);
+
+  const early = await request('POST', '/api/v1/offers/offer-1/meetup/complete', { ...alice, body: {} });
+  assert.equal(early.status, 409);
+
+  await request('POST', '/api/v1/offers/offer-1/meetup/check-in', { ...bob, body: {} });
+  const completed = await request('POST', '/api/v1/offers/offer-1/meetup/complete', { ...alice, body: {} });
+  assert.equal(completed.status, 200);
+  assert.equal(completed.body.data.status, 'COMPLETED');
+  assert.ok(completed.body.data.completedAt);
+});
+
+test('checking in needs an accepted offer', async (t) => {
+  stubMeetupOffer(t, proposed({ status: 'PENDING', scheduledAt: inOneHour() }), { status: 'PENDING' });
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup/check-in', { ...alice, body: {} });
+  assert.equal(response.status, 409);
+});
+
+test('cancelling records who cancelled and why and bumps the sequence', async (t) => {
+  const { notify } = stubMeetupOffer(t, proposed({ status: 'PENDING' }));
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup/cancel', { ...alice, body: { reason: 'Ill' } });
+  assert.equal(response.status, 200);
+  const meetup = response.body.data;
+  assert.equal(meetup.status, 'CANCELLED');
+  assert.equal(meetup.cancelledBy, 'alice');
+  assert.equal(meetup.cancelReason, 'Ill');
+  assert.equal(meetup.sequence, 2);
+  assert.deepEqual(pushed(notify), [['MEETUP_UPDATED', 'bob', 'CANCELLED']]);
+
+  const again = await request('POST', '/api/v1/offers/offer-1/meetup/cancel', { ...alice, body: {} });
+  assert.equal(again.status, 409);
+});
+
+test('only the traders can change a meetup', async (t) => {
+  stubMeetupOffer(t, proposed());
+
+  const response = await request('POST', '/api/v1/offers/offer-1/meetup/accept', { token: 'user:carol', body: {} });
+  assert.equal(response.status, 403);
+});
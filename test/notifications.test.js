@@ -0,0 +1,277 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions, stubPush, jobs } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const offerContext = {
+  offerId: 'offer-1',
+  recipientUserId: 'alice',
+  senderUserId: 'bob',
+  senderName: 'Bob',
+  itemName: 'Bike',
+  message: ''
+};
+
+// One due outbox entry for Alice; returns the updates the worker wrote to it after claiming it
+const stubOutbox = (t, fields = {}, { preferences, tokens = ['token-1'] } = {}) => {
+  const entry = { id: 'entry-1', type: 'OFFER_RECEIVED', userId: 'alice', context: offerContext, attempts: 0, count: 1, ...fields };
+  const updates = [];
+  let claimed = false;
+  stub(t, 'NotificationOutbox', 'findOneAndUpdate', (filter, update) => {
+    if (filter.$or) {
+      if (claimed) {
+        return null;
+      }
+      claimed = true;
+      return { ...entry, toObject: () => entry };
+    }
+    updates.push(update.$set);
+    return { ...entry, ...update.$set };
+  });
+  const attempts = stub(t, 'NotificationOutbox', 'updateOne', {});
+  stub(t, 'User', 'findOne', { notificationPreferences: preferences, fcmTokens: tokens });
+  stub(t, 'InboxNotification', 'findOneAndUpdate', null);
+  stub(t, 'InboxNotification', 'create', (notification) => ({ id: 'inbox-1', ...notification }));
+  return { updates, attempts };
+};
+
+test('each event type is pushed on its own Android channel and APNs category', async (t) => {
+  const push = stubPush(t);
+  const { updates } = stubOutbox(t);
+
+  await jobs.processNotificationOutbox();
+
+  const [message] = push.mock.calls[0].arguments;
+  assert.deepEqual(message.tokens, ['token-1']);
+  assert.equal(message.notification.title, 'Bob sent you an offer');
+  assert.equal(message.notification.body, 'New pitch on Bike');
+  assert.equal(message.data.notificationId, 'inbox-1');
+  assert.equal(message.android.notification.channelId, 'swoptrader_offers');
+  assert.equal(message.android.notification.tag, 'offer_offer-1');
+  assert.equal(message.android.notification.apnsCategory, undefined);
+  assert.equal(message.apns.payload.aps.category, 'SWOPTRADER_OFFER');
+  assert.equal(updates.at(-1).status, 'DELIVERED');
+});
+
+const clockTime = (date) => date.toISOString().slice(11, 16);
+
+test('pushes inside quiet hours wait for them to end, while the inbox entry appears at once', async (t) => {
+  const push = stubPush(t);
+  const now = Date.now();
+  const quietHours = { enabled: true, start: clockTime(new Date(now - 60 * 60 * 1000)), end: clockTime(new Date(now + 60 * 60 * 1000)), timeZone: 'UTC' };
+  const { updates } = stubOutbox(t, {}, { preferences: { quietHours } });
+  const inbox = stub(t, 'InboxNotification', 'create', (notification) => ({ id: 'inbox-1', ...notification }));
+
+  await jobs.processNotificationOutbox();
+
+  assert.equal(push.mock.callCount(), 0);
+  assert.equal(inbox.mock.callCount(), 1);
+  const [requeued] = updates;
+  assert.equal(requeued.status, 'PENDING');
+  const waitMs = requeued.availableAt.getTime() - now;
+  assert.ok(waitMs > 58 * 60 * 1000 && waitMs <= 60 * 60 * 1000, `waited ${waitMs}ms`);
+});
+
+test('a muted event type is skipped', async (t) => {
+  const push = stubPush(t);
+  const { updates } = stubOutbox(t, {}, { preferences: { types: { offers: false } } });
+
+  await jobs.processNotificationOutbox();
+
+  assert.equal(push.mock.callCount(), 0);
+  assert.deepEqual(updates.map(({ status, skipReason }) => [status, skipReason]), [['SKIPPED', 'muted']]);
+});
+
+test('a muted chat is skipped', async (t) => {
+  const push = stubPush(t);
+  const { updates } = stubOutbox(t, {
+    type: 'CHAT_MESSAGE',
+    context: { chatId: 'chat-1', senderName: 'Bob', message: 'Hi' }
+  }, { preferences: { mutedChatIds: ['chat-1'] } });
+
+  await jobs.processNotificationOutbox();
+
+  assert.equal(push.mock.callCount(), 0);
+  assert.equal(updates[0].skipReason, 'muted');
+});
+
+test('a collapsed chat burst is pushed as one summary', async (t) => {
+  const push = stubPush(t);
+  stubOutbox(t, { type: 'CHAT_MESSAGE', count: 3, context: { chatId: 'chat-1', senderName: 'Bob', message: 'Hi' } });
+
+  await jobs.processNotificationOutbox();
+
+  const [message] = push.mock.calls[0].arguments;
+  assert.deepEqual(message.notification, { title: 'Bob', body: '3 new messages' });
+  assert.equal(message.data.count, '3');
+  assert.equal(message.android.notification.tag, 'chat_chat-1');
+});
+
+test('preference updates only touch the fields sent', async (t) => {
+  stubNoRestrictions(t);
+  const update = stub(t, 'User', 'findOneAndUpdate', { notificationPreferences: {} });
+
+  const response = await request('PUT', '/api/v1/users/alice/notification-preferences', {
+    token: 'user:alice',
+    body: { types: { chatMessages: false }, quietHours: { enabled: true, start: '22:00', timeZone: 'Europe/London' } }
+  });
+  assert.equal(response.status, 200);
+  const { $set } = update.mock.calls[0].arguments[1];
+  assert.deepEqual(Object.keys($set).sort(), [
+    'notificationPreferences.quietHours.enabled',
+    'notificationPreferences.quietHours.start',
+    'notificationPreferences.quietHours.timeZone',
+    'notificationPreferences.types.chatMessages',
+    'updatedAt'
+  ]);
+  assert.equal($set['notificationPreferences.types.chatMessages'], false);
+});
+
+const rejectAll = (errorCode) => (message) => message.tokens.map(() => ({ success: false, error: { code: errorCode } }));
+
+test('a failed push is logged and retried with exponential backoff', async (t) => {
+  stubPush(t, rejectAll('messaging/internal-error'));
+  const { updates, attempts } = stubOutbox(t, { attempts: 2 });
+  const startedAt = Date.now();
+
+  await jobs.processNotificationOutbox();
+
+  const [filter, { $inc, $push, $set }] = attempts.mock.calls[0].arguments;
+  assert.deepEqual(filter, { id: 'entry-1' });
+  assert.deepEqual($inc, { attempts: 1 });
+  const [delivery] = $push.deliveries.$each;
+  assert.equal(delivery.attempt, 3);
+  assert.equal(delivery.failureCount, 1);
+  assert.equal(delivery.error, 'Every device rejected the push');
+  assert.deepEqual(delivery.results, [{ token: 'token-1', success: false, errorCode: 'messaging/internal-error' }]);
+  assert.equal($set.lastError, 'Every device rejected the push');
+
+  const [requeued] = updates;
+  assert.equal(requeued.status, 'PENDING');
+  const delayMs = requeued.availableAt.getTime() - startedAt;
+  assert.ok(delayMs >= 4 * 30 * 1000 && delayMs < 4 * 30 * 1000 + 5000, `retried after ${delayMs}ms`);
+});
+
+test('an entry fails for good after the last attempt', async (t) => {
+  stubPush(t, rejectAll('messaging/internal-error'));
+  const { updates } = stubOutbox(t, { attempts: 7 });
+  t.mock.method(console, 'error', () => {});
+
+  await jobs.processNotificationOutbox();
+
+  assert.equal(updates[0].status, 'FAILED');
+  assert.equal(updates[0].purgeAt, null);
+});
+
+test('unregistered tokens are pruned and do not count as a failure', async (t) => {
+  stubPush(t, rejectAll('messaging/registration-token-not-registered'));
+  const { updates } = stubOutbox(t);
+  stub(t, 'User', 'updateOne', {});
+  const prune = stub(t, 'Device', 'deleteMany', {});
+
+  await jobs.processNotificationOutbox();
+
+  assert.deepEqual(prune.mock.calls[0].arguments[0], { token: { $in: ['token-1'] } });
+  assert.deepEqual(updates.map(({ status, skipReason }) => [status, skipReason]), [['SKIPPED', 'no_tokens']]);
+});
+
+test('the worker claims due entries and entries whose claim timed out', async (t) => {
+  const claim = stub(t, 'NotificationOutbox', 'findOneAndUpdate', null);
+
+  await jobs.processNotificationOutbox();
+
+  const [filter, update, options] = claim.mock.calls[0].arguments;
+  assert.equal(filter.$or[0].status, 'PENDING');
+  assert.ok(filter.$or[0].availableAt.$lte instanceof Date);
+  assert.equal(filter.$or[1].status, 'PROCESSING');
+  assert.ok(filter.$or[1].lockedUntil.$lte instanceof Date);
+  assert.equal(update.$set.status, 'PROCESSING');
+  assert.equal(update.$set.lockedUntil.getTime() - update.$set.updatedAt.getTime(), 2 * 60 * 1000);
+  assert.deepEqual(options.sort, { availableAt: 1 });
+});
+
+test('admins can replay a failed entry from scratch', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'AuditLog', 'create', {});
+  stub(t, 'NotificationOutbox', 'findOne', (filter) => (filter.id === 'entry-1'
+    ? { id: 'entry-1', status: 'FAILED' }
+    : { id: 'entry-2', status: 'DELIVERED' }));
+  const requeue = stub(t, 'NotificationOutbox', 'findOneAndUpdate', (filter, update) => ({ id: filter.id, ...update.$set }));
+
+  const replayed = await request('POST', '/api/v1/admin/notifications/outbox/entry-1/replay', { token: 'admin:root' });
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.body.data.status, 'PENDING');
+  assert.equal(replayed.body.data.attempts, 0);
+
+  const delivered = await request('POST', '/api/v1/admin/notifications/outbox/entry-2/replay', { token: 'admin:root' });
+  assert.equal(delivered.status, 409);
+  assert.equal(requeue.mock.callCount(), 1);
+});
+
+test('the inbox lists the caller\'s notifications newest first with the unread count', async (t) => {
+  stubNoRestrictions(t);
+  const find = stub(t, 'InboxNotification', 'find', [
+    { id: 'n2', createdAt: '2026-01-02T00:00:00.000Z' },
+    { id: 'n1', createdAt: '2026-01-01T00:00:00.000Z' }
+  ]);
+  stub(t, 'InboxNotification', 'countDocuments', 4);
+
+  const response = await request('GET', '/api/v1/notifications?read=false&limit=1', { token: 'user:alice' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.map((row) => row.id), ['n2']);
+  assert.equal(response.body.unreadCount, 4);
+  assert.equal(response.body.pagination.hasMore, true);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { userId: 'alice', readAt: null });
+
+  const invalid = await request('GET', '/api/v1/notifications?read=maybe', { token: 'user:alice' });
+  assert.equal(invalid.status, 400);
+});
+
+test('a notification is marked read once, by its owner only', async (t) => {
+  stubNoRestrictions(t);
+  const saves = [];
+  stub(t, 'InboxNotification', 'findOne', (filter) => ({
+    id: filter.id,
+    userId: filter.id === 'theirs' ? 'bob' : 'alice',
+    readAt: filter.id === 'read' ? new Date('2026-01-01') : null,
+    async save() {
+      saves.push(this.id);
+    }
+  }));
+
+  const unread = await request('POST', '/api/v1/notifications/unread/read', { token: 'user:alice' });
+  const read = await request('POST', '/api/v1/notifications/read/read', { token: 'user:alice' });
+  const theirs = await request('POST', '/api/v1/notifications/theirs/read', { token: 'user:alice' });
+  assert.equal(unread.status, 200);
+  assert.ok(unread.body.data.readAt);
+  assert.equal(read.body.data.readAt, '2026-01-01T00:00:00.000Z');
+  assert.equal(theirs.status, 403);
+  assert.deepEqual(saves, ['unread']);
+});
+
+test('read-all marks every unread notification of the caller', async (t) => {
+  stubNoRestrictions(t);
+  const markRead = stub(t, 'InboxNotification', 'updateMany', { modifiedCount: 3 });
+
+  const response = await request('POST', '/api/v1/notifications/read-all', { token: 'user:alice' });
+  assert.deepEqual(response.body.data, { markedCount: 3 });
+  assert.deepEqual(markRead.mock.calls[0].arguments[0], { userId: 'alice', readAt: null });
+});
+
+test('delivered notifications are stored in the inbox with a link to their subject', async (t) => {
+  stubPush(t);
+  stubOutbox(t);
+  const store = stub(t, 'InboxNotification', 'create', (notification) => ({ id: 'inbox-1', ...notification }));
+
+  await jobs.processNotificationOutbox();
+
+  const [notification] = store.mock.calls[0].arguments;
+  assert.equal(notification.userId, 'alice');
+  assert.equal(notification.type, 'OFFER_RECEIVED');
+  assert.equal(notification.title, 'Bob sent you an offer');
+  assert.deepEqual(notification.link, { offerId: 'offer-1' });
+  assert.equal(notification.outboxEntryId, 'entry-1');
+  assert.ok(notification.purgeAt > new Date());
+});
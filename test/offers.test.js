@@ -0,0 +1,212 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, model, stub, stubNoRestrictions, stubTransactions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+const bob = { token: 'user:bob' };
+
+// Bob offered for Alice's item; save() records the status the route wrote
+const stubOffer = (t, fields = {}) => {
+  const saved = [];
+  stubNoRestrictions(t);
+  stubTransactions(t);
+  stub(t, 'Offer', 'findOne', () => ({
+    id: 'offer-1',
+    fromUserId: 'bob',
+    toUserId: 'alice',
+    requestedItemId: 'item-1',
+    offeredItemIds: ['item-2'],
+    status: 'PENDING',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+    async save() {
+      saved.push(this.status);
+    }
+  }));
+  stub(t, 'User', 'find', []);
+  stub(t, 'Item', 'findOne', { name: 'Bike' });
+  const notify = stub(t, 'NotificationOutbox', 'create', [{}]);
+  return { saved, notify };
+};
+
+test('the recipient can reject a pending offer and the sender is told', async (t) => {
+  const { saved, notify } = stubOffer(t);
+
+  const response = await request('POST', '/api/v1/offers/offer-1/reject', alice);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.status, 'REJECTED');
+  assert.deepEqual(saved, ['REJECTED']);
+  assert.equal(notify.mock.calls[0].arguments[0][0].userId, 'bob');
+});
+
+test('the sender can cancel a pending offer', async (t) => {
+  const { saved } = stubOffer(t);
+
+  const response = await request('POST', '/api/v1/offers/offer-1/cancel', bob);
+  assert.equal(response.status, 200);
+  assert.deepEqual(saved, ['CANCELLED']);
+});
+
+test('only the recipient can accept, reject or counter', async (t) => {
+  const { saved } = stubOffer(t);
+
+  const accepted = await request('POST', '/api/v1/offers/offer-1/accept', bob);
+  const rejected = await request('POST', '/api/v1/offers/offer-1/reject', bob);
+  const countered = await request('POST', '/api/v1/offers/offer-1/counter', { ...bob, body: {} });
+  assert.deepEqual([accepted.status, rejected.status, countered.status], [403, 403, 403]);
+  assert.deepEqual(saved, []);
+});
+
+test('only the sender can cancel a pending offer', async (t) => {
+  const { saved } = stubOffer(t);
+
+  const response = await request('POST', '/api/v1/offers/offer-1/cancel', alice);
+  assert.equal(response.status, 403);
+  assert.deepEqual(saved, []);
+});
+
+test('finished offers cannot move again', async (t) => {
+  for (const status of ['REJECTED', 'COUNTERED', 'EXPIRED', 'CANCELLED']) {
+    await t.test(status, async (t) => {
+      const { saved } = stubOffer(t, { status });
+
+      const accepted = await request('POST', '/api/v1/offers/offer-1/accept', alice);
+      const cancelled = await request('POST', '/api/v1/offers/offer-1/cancel', bob);
+      assert.deepEqual([accepted.status, cancelled.status], [409, 409]);
+      assert.equal(accepted.body.error, `Cannot accept an offer that is ${status}`);
+      assert.deepEqual(saved, []);
+    });
+  }
+});
+
+test('an accepted offer can only be cancelled', async (t) => {
+  const { saved } = stubOffer(t, { status: 'ACCEPTED' });
+
+  const rejected = await request('POST', '/api/v1/offers/offer-1/reject', alice);
+  assert.equal(rejected.status, 409);
+  assert.deepEqual(saved, []);
+});
+
+test('an offer past its expiry cannot be accepted, only expired', async (t) => {
+  const { saved } = stubOffer(t, { expiresAt: new Date(Date.now() - 1000) });
+
+  const accepted = await request('POST', '/api/v1/offers/offer-1/accept', alice);
+  assert.equal(accepted.status, 409);
+  assert.equal(accepted.body.error, 'Offer has expired');
+
+  const expired = await request('POST', '/api/v1/offers/offer-1/expire', alice);
+  assert.equal(expired.status, 200);
+  assert.deepEqual(saved, ['EXPIRED']);
+});
+
+test('an offer cannot be expired early', async (t) => {
+  const { saved } = stubOffer(t);
+
+  const response = await request('POST', '/api/v1/offers/offer-1/expire', bob);
+  assert.equal(response.status, 409);
+  assert.deepEqual(saved, []);
+});
+
+test('strangers cannot touch an offer', async (t) => {
+  stubOffer(t);
+
+  const response = await request('POST', '/api/v1/offers/offer-1/reject', { token: 'user:carol' });
+  assert.equal(response.status, 403);
+});
+
+test('completed trades cannot be cancelled and their items stay off the market', async (t) => {
+  for (const fields of [{ status: 'COMPLETED', tradeId: 'trade-1' }, { status: 'ACCEPTED', tradeId: 'trade-1' }]) {
+    await t.test(`${fields.status} with a trade`, async (t) => {
+      const { saved } = stubOffer(t, fields);
+      const release = stub(t, 'Item', 'updateMany', { modifiedCount: 2 });
+
+      const response = await request('POST', '/api/v1/offers/offer-1/cancel', bob);
+      assert.equal(response.status, 409);
+      assert.deepEqual(saved, []);
+      assert.equal(release.mock.callCount(), 0);
+    });
+  }
+});
+
+test('completing a trade moves the offer to COMPLETED', async (t) => {
+  stubOffer(t, { status: 'ACCEPTED', meetup: { id: 'meetup-1', status: 'COMPLETED' } });
+  const claim = stub(t, 'Offer', 'updateOne', { modifiedCount: 0 });
+
+  const response = await request('POST', '/api/v1/offers/offer-1/complete', alice);
+  assert.equal(response.status, 409);
+  assert.deepEqual(claim.mock.calls[0].arguments[0], { id: 'offer-1', status: 'ACCEPTED', tradeId: { $exists: false } });
+  assert.equal(claim.mock.calls[0].arguments[1].status, 'COMPLETED');
+});
+
+test('cancelling an accepted offer only relists items that are still live', async (t) => {
+  const { saved } = stubOffer(t, { status: 'ACCEPTED' });
+  stub(t, 'TradeHistory', 'distinct', ['item-2']);
+  const release = stub(t, 'Item', 'updateMany', { modifiedCount: 1 });
+
+  const response = await request('POST', '/api/v1/offers/offer-1/cancel', alice);
+  assert.equal(response.status, 200);
+  assert.deepEqual(saved, ['CANCELLED']);
+  assert.deepEqual(release.mock.calls[0].arguments[0], {
+    id: { $in: ['item-1', 'item-2'], $nin: ['item-2'] },
+    deletedAt: null,
+    hiddenAt: null,
+    archivedAt: null
+  });
+});
+
+test('a counter offer carries over the meetup as a fresh proposal', async (t) => {
+  const scheduledAt = Date.now() + 24 * 60 * 60 * 1000;
+  const { saved } = stubOffer(t, {
+    meetup: {
+      id: 'meetup-1',
+      status: 'CONFIRMED',
+      proposedBy: 'bob',
+      scheduledAt,
+      location: { name: 'Cafe', latitude: 51.5, longitude: -0.12 },
+      meetupType: 'public',
+      notes: 'By the door',
+      sequence: 2,
+      reminderSentAt: Date.now(),
+      checkIns: [{ userId: 'bob', checkedInAt: Date.now() }]
+    }
+  });
+  stub(t, 'Item', 'findOne', { ownerId: 'alice', isAvailable: true, name: 'Bike' });
+  stub(t, 'Item', 'countDocuments', 1);
+  const counters = [];
+  t.mock.method(model('Offer').prototype, 'save', async function () {
+    counters.push(this.toObject());
+  });
+
+  const response = await request('POST', '/api/v1/offers/offer-1/counter', { ...alice, body: { cashAmount: 10 } });
+  assert.equal(response.status, 201);
+  assert.deepEqual(saved, ['COUNTERED']);
+  const { meetup } = counters[0];
+  assert.equal(meetup.id, 'meetup-1');
+  assert.equal(meetup.scheduledAt, scheduledAt);
+  assert.equal(meetup.location.name, 'Cafe');
+  assert.equal(meetup.meetupType, 'public');
+  assert.equal(meetup.notes, 'By the door');
+  assert.equal(meetup.status, 'PROPOSED');
+  assert.equal(meetup.proposedBy, 'alice');
+  assert.equal(meetup.sequence, 3);
+  assert.deepEqual(meetup.checkIns, []);
+  assert.equal(meetup.reminderSentAt, undefined);
+});
+
+test('a cancelled meetup is not carried over to a counter offer', async (t) => {
+  stubOffer(t, { meetup: { id: 'meetup-1', status: 'CANCELLED', scheduledAt: Date.now() + 60 * 60 * 1000 } });
+  stub(t, 'Item', 'findOne', { ownerId: 'alice', isAvailable: true, name: 'Bike' });
+  stub(t, 'Item', 'countDocuments', 1);
+  const counters = [];
+  t.mock.method(model('Offer').prototype, 'save', async function () {
+    counters.push(this.toObject());
+  });
+
+  const response = await request('POST', '/api/v1/offers/offer-1/counter', { ...alice, body: {} });
+  assert.equal(response.status, 201);
+  assert.equal(counters[0].meetup.id, undefined);
+  assert.equal(counters[0].meetup.scheduledAt, undefined);
+});
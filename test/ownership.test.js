@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, model, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+test('users can only update their own profile', async (t) => {
+  stubNoRestrictions(t);
+  const response = await request('PUT', '/api/v1/users/bob', { ...alice, body: { name: 'Mallory' } });
+  assert.equal(response.status, 403);
+});
+
+test('items can only be listed for the caller', async (t) => {
+  stubNoRestrictions(t);
+  const response = await request('POST', '/api/v1/items', {
+    ...alice,
+    body: { id: 'item-1', name: 'Bike', description: 'Red bike', category: 'Sports', condition: 'Good', ownerId: 'bob' }
+  });
+  assert.equal(response.status, 403);
+});
+
+test('items owned by someone else cannot be edited or deleted', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Item', 'findOne', { id: 'item-1', ownerId: 'bob', uploadedImages: [] });
+  const update = stub(t, 'Item', 'findOneAndUpdate', null);
+
+  const edited = await request('PUT', '/api/v1/items/item-1', { ...alice, body: { name: 'Mine now' } });
+  const deleted = await request('DELETE', '/api/v1/items/item-1', alice);
+  assert.equal(edited.status, 403);
+  assert.equal(deleted.status, 403);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('offers are only visible to their two traders', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Offer', 'findOne', { id: 'offer-1', fromUserId: 'bob', toUserId: 'carol' });
+
+  const response = await request('GET', '/api/v1/offers/offer-1', alice);
+  assert.equal(response.status, 403);
+});
+
+test('chat messages are only visible to participants', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Chat', 'findOne', { id: 'chat-1', participantIds: ['bob', 'carol'] });
+
+  const response = await request('GET', '/api/v1/chats/chat-1/messages', alice);
+  assert.equal(response.status, 403);
+});
+
+test('marking a chat read checks the chat before looking for messages', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Chat', 'findOne', (filter) => (filter.id === 'chat-1' ? { id: 'chat-1', participantIds: ['bob', 'carol'] } : null));
+
+  const missing = await request('POST', '/api/v1/chats/nope/read', alice);
+  const foreign = await request('POST', '/api/v1/chats/chat-1/read', alice);
+  assert.equal(missing.status, 404);
+  assert.equal(foreign.status, 403);
+});
+
+test('trade history is limited to the caller', async (t) => {
+  stubNoRestrictions(t);
+  const response = await request('GET', '/api/v1/trades/history?userId=bob', alice);
+  assert.equal(response.status, 403);
+});
+
+test("other users' profiles are limited to public fields", async (t) => {
+  stubNoRestrictions(t);
+  const findOne = stub(t, 'User', 'findOne', { id: 'bob', name: 'Bob' });
+
+  const other = await request('GET', '/api/v1/users/bob', alice);
+  const own = await request('GET', '/api/v1/users/alice', alice);
+  assert.equal(other.status, 200);
+  assert.equal(own.status, 200);
+
+  const [otherProjection, ownProjection] = findOne.mock.calls.map((call) => call.arguments[1]);
+  assert.equal(ownProjection, null);
+  assert.equal(otherProjection.name, 1);
+  for (const field of ['email', 'fcmTokens', 'role', 'location', 'geo', 'notificationPreferences', 'wishlist']) {
+    assert.equal(otherProjection[field], undefined, field);
+  }
+});
+
+test('a new listing is returned without the saved search job flag', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'User', 'findOne', null);
+  const save = t.mock.method(model('Item').prototype, 'save', async function () {
+    return this;
+  });
+
+  const response = await request('POST', '/api/v1/items', {
+    ...alice,
+    body: { id: 'item-1', name: 'Bike', description: 'Red bike', category: 'Sports', condition: 'Good' }
+  });
+  assert.equal(response.status, 201);
+  assert.equal(save.mock.calls[0].this.savedSearchMatchPending, true);
+  assert.equal(response.body.data.id, 'item-1');
+  assert.equal(response.body.data.ownerId, 'alice');
+  assert.equal('savedSearchMatchPending' in response.body.data, false);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+const cursorFor = (time, id) => Buffer.from(JSON.stringify({ t: new Date(time).getTime(), id })).toString('base64url');
+const decode = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+const offer = (id, createdAt) => ({ id, fromUserId: 'alice', toUserId: 'bob', createdAt: new Date(createdAt) });
+
+test('offers page by cursor after the last offer of the previous page', async (t) => {
+  stubNoRestrictions(t);
+  const find = stub(t, 'Offer', 'find', [offer('offer-3', '2026-01-03'), offer('offer-2', '2026-01-02'), offer('offer-1', '2026-01-01')]);
+  stub(t, 'Offer', 'countDocuments', 7);
+
+  const cursor = cursorFor('2026-01-04', 'offer-4');
+  const response = await request('GET', `/api/v1/offers?limit=2&cursor=${cursor}`, alice);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.map((row) => row.id), ['offer-3', 'offer-2']);
+  assert.equal(response.body.pagination.hasMore, true);
+  assert.deepEqual(decode(response.body.pagination.nextCursor), { t: Date.parse('2026-01-02'), id: 'offer-2' });
+  assert.equal(response.body.pagination.page, undefined);
+
+  const [{ $and: [, keyset] }] = find.mock.calls[0].arguments;
+  assert.deepEqual(JSON.parse(JSON.stringify(keyset)), {
+    $or: [
+      { createdAt: { $lt: '2026-01-04T00:00:00.000Z' } },
+      { createdAt: '2026-01-04T00:00:00.000Z', id: { $lt: 'offer-4' } }
+    ]
+  });
+});
+
+test('the last page has no next cursor', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Offer', 'find', [offer('offer-1', '2026-01-01')]);
+  stub(t, 'Offer', 'countDocuments', 1);
+
+  const response = await request('GET', '/api/v1/offers?limit=2', alice);
+  assert.equal(response.body.pagination.hasMore, false);
+  assert.equal(response.body.pagination.nextCursor, null);
+  assert.equal(response.body.pagination.page, 1);
+});
+
+test('items page by cursor only when sorted by newest', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'User', 'findOne', null);
+  stub(t, 'User', 'distinct', []);
+  const aggregate = stub(t, 'Item', 'aggregate', [{
+    data: [{ id: 'item-2', createdAt: '2026-01-02T00:00:00.000Z' }, { id: 'item-1', createdAt: '2026-01-01T00:00:00.000Z' }],
+    total: [{ count: 5 }],
+    category: [],
+    condition: []
+  }]);
+
+  const cursor = cursorFor('2026-01-03', 'item-3');
+  const response = await request('GET', `/api/v1/items?limit=1&cursor=${cursor}`, alice);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.map((row) => row.id), ['item-2']);
+  assert.deepEqual(decode(response.body.pagination.nextCursor), { t: Date.parse('2026-01-02'), id: 'item-2' });
+
+  const { $facet } = aggregate.mock.calls[0].arguments[0][1];
+  assert.ok($facet.data[0].$match.$or);
+  assert.deepEqual($facet.data[2], { $skip: 0 });
+
+  const relevance = await request('GET', `/api/v1/items?search=bike&cursor=${cursor}`, alice);
+  assert.equal(relevance.status, 400);
+});
+
+test('a malformed cursor is refused', async (t) => {
+  stubNoRestrictions(t);
+  const find = stub(t, 'Offer', 'find', []);
+
+  for (const cursor of ['not-a-cursor', Buffer.from('{"t":"soon","id":1}').toString('base64url')]) {
+    const response = await request('GET', `/api/v1/offers?cursor=${cursor}`, alice);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid cursor');
+  }
+  assert.equal(find.mock.callCount(), 0);
+});
+
+const message = (id, timestamp) => ({ id, chatId: 'chat-1', senderId: 'bob', timestamp: new Date(timestamp) });
+
+test('chat history pages backwards and is returned oldest first', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Chat', 'findOne', { participantIds: ['alice', 'bob'] });
+  const find = stub(t, 'ChatMessage', 'find', [message('m3', '2026-01-03'), message('m2', '2026-01-02'), message('m1', '2026-01-01')]);
+
+  const response = await request('GET', `/api/v1/chats/chat-1/messages?limit=2&before=${cursorFor('2026-01-04', 'm4')}`, alice);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.map((row) => row.id), ['m2', 'm3']);
+  assert.equal(response.body.pagination.hasMore, true);
+  assert.equal(decode(response.body.pagination.beforeCursor).id, 'm2');
+  assert.equal(decode(response.body.pagination.afterCursor).id, 'm3');
+  assert.ok(find.mock.calls[0].arguments[0].$and[1].$or[0].timestamp.$lt);
+});
+
+test('polling for newer messages reads forward from the after cursor', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'Chat', 'findOne', { participantIds: ['alice', 'bob'] });
+  const find = stub(t, 'ChatMessage', 'find', [message('m5', '2026-01-05')]);
+
+  const after = cursorFor('2026-01-04', 'm4');
+  const response = await request('GET', `/api/v1/chats/chat-1/messages?after=${after}`, alice);
+  assert.deepEqual(response.body.data.map((row) => row.id), ['m5']);
+  assert.equal(response.body.pagination.hasMore, false);
+  assert.ok(find.mock.calls[0].arguments[0].$and[1].$or[0].timestamp.$gt);
+
+  const both = await request('GET', `/api/v1/chats/chat-1/messages?after=${after}&before=${after}`, alice);
+  assert.equal(both.status, 400);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions, stubTransactions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+// A trade between Alice and Bob; ratings are the entries already on it
+const stubTrade = (t, ratings = []) => {
+  stubNoRestrictions(t);
+  stubTransactions(t);
+  const saves = [];
+  stub(t, 'TradeHistory', 'findOne', () => ({
+    id: 'trade-1',
+    participantIds: ['alice', 'bob'],
+    ratings,
+    async save() {
+      saves.push(this.ratings.map((entry) => ({ ...entry })));
+    }
+  }));
+  const ratingUpdates = stub(t, 'User', 'updateOne', { modifiedCount: 1 });
+  return { saves, ratingUpdates };
+};
+
+// The $add deltas a User.updateOne pipeline applied to ratingTotal and ratingCount
+const ratingDeltas = (call) => {
+  const [filter, [{ $set }]] = call.arguments;
+  return { userId: filter.id, total: $set.ratingTotal.$add[1], count: $set.ratingCount.$add[1] };
+};
+
+test('a trader rates the other side of a trade and their ratingUpdates moves', async (t) => {
+  const { ratingUpdates } = stubTrade(t);
+  const push = stub(t, 'TradeHistory', 'updateOne', { modifiedCount: 1 });
+
+  const response = await request('POST', '/api/v1/trades/trade-1/ratings', { ...alice, body: { rating: 4, comment: 'Smooth swap' } });
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.rateeId, 'bob');
+  assert.deepEqual(push.mock.calls[0].arguments[0], { id: 'trade-1', 'ratings.raterId': { $ne: 'alice' } });
+  assert.deepEqual(ratingDeltas(ratingUpdates.mock.calls[0]), { userId: 'bob', total: 4, count: 1 });
+});
+
+test('a trade can be rated once per trader', async (t) => {
+  const { ratingUpdates } = stubTrade(t);
+  stub(t, 'TradeHistory', 'updateOne', { modifiedCount: 0 });
+
+  const response = await request('POST', '/api/v1/trades/trade-1/ratings', { ...alice, body: { rating: 4 } });
+  assert.equal(response.status, 409);
+  assert.equal(ratingUpdates.mock.callCount(), 0);
+});
+
+test('only participants can rate a trade', async (t) => {
+  stubTrade(t);
+
+  const response = await request('POST', '/api/v1/trades/trade-1/ratings', { token: 'user:carol', body: { rating: 1 } });
+  assert.equal(response.status, 403);
+});
+
+test('editing a rating moves the ratingUpdates by the difference', async (t) => {
+  const { saves, ratingUpdates } = stubTrade(t, [{ raterId: 'alice', rateeId: 'bob', rating: 2, ratedAt: new Date() }]);
+
+  const response = await request('PUT', '/api/v1/trades/trade-1/ratings', { ...alice, body: { rating: 5 } });
+  assert.equal(response.status, 200);
+  assert.equal(saves[0][0].rating, 5);
+  assert.deepEqual(ratingDeltas(ratingUpdates.mock.calls[0]), { userId: 'bob', total: 3, count: 0 });
+});
+
+test('a rating cannot be edited after the edit window', async (t) => {
+  const { ratingUpdates } = stubTrade(t, [{ raterId: 'alice', rateeId: 'bob', rating: 2, ratedAt: new Date('2020-01-01') }]);
+
+  const response = await request('PUT', '/api/v1/trades/trade-1/ratings', { ...alice, body: { rating: 5 } });
+  assert.equal(response.status, 409);
+  assert.equal(ratingUpdates.mock.callCount(), 0);
+});
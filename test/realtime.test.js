@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer, stopServer, baseUrl, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+// Opens a realtime connection and returns helpers to send a message and await the next reply
+const connect = async (token) => {
+  const ws = new WebSocket(`${baseUrl().replace(/^http/, 'ws')}/api/v1/realtime`, { headers: { Authorization: `Bearer ${token}` } });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return {
+    send: (message) => ws.send(JSON.stringify(message)),
+    next: () => new Promise((resolve) => ws.once('message', (raw) => resolve(JSON.parse(raw.toString())))),
+    close: () => new Promise((resolve) => {
+      ws.once('close', resolve);
+      ws.close();
+    })
+  };
+};
+
+test('chat and message ids must be strings before they reach a query', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'User', 'updateOne', { modifiedCount: 1 });
+  const findChat = stub(t, 'Chat', 'findOne', { id: 'chat-1', participantIds: ['alice'] });
+  const socket = await connect('user:alice');
+
+  for (const message of [
+    { type: 'read', chatId: { $gt: '' }, messageId: 'message-1' },
+    { type: 'read', chatId: 'chat-1', messageId: { $in: ['message-1'] } },
+    { type: 'subscribe', chatId: { $in: ['chat-1', 'chat-2'] } },
+    { type: 'typing' }
+  ]) {
+    const reply = socket.next();
+    socket.send(message);
+    const error = await reply;
+    assert.equal(error.type, 'error');
+    assert.equal(error.requestType, message.type);
+    assert.match(error.error, /must be a non-empty string/);
+  }
+  assert.equal(findChat.mock.callCount(), 0);
+  await socket.close();
+});
+
+test('suspended users cannot open a realtime connection', async (t) => {
+  stub(t, 'User', 'exists', (filter) => (filter.suspendedAt ? { _id: 'alice' } : null));
+  await assert.rejects(connect('user:alice'), /403/);
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, stub, jobs } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const savedSearch = (id, fields = {}) => ({ id, userId: `user-${id}`, name: id, alertMode: 'INSTANT', ...fields });
+
+// One new listing waiting for the matching job; returns the alerts it queued and its item queries
+const stubMatching = (t, searches, item = {}) => {
+  let pending = { id: 'item-1', ownerId: 'alice', name: 'Red racing bikes', description: 'Two café bikes', category: 'Sports', condition: 'Good', isAvailable: true, ...item };
+  stub(t, 'Item', 'findOne', () => {
+    const next = pending;
+    pending = null;
+    return next;
+  });
+  const done = stub(t, 'Item', 'updateOne', {});
+  const exists = stub(t, 'Item', 'exists', null);
+  stub(t, 'User', 'findOne', null);
+  stub(t, 'User', 'distinct', []);
+  const find = stub(t, 'SavedSearch', 'find', searches);
+  const updates = stub(t, 'SavedSearch', 'updateOne', {});
+  const alerts = stub(t, 'NotificationOutbox', 'create', ([entry]) => [entry]);
+  return { alerts, updates, find, done, exists };
+};
+
+const alertedSearchIds = (alerts) => alerts.mock.calls.map((call) => call.arguments[0][0].context.savedSearchId);
+
+test('a new listing is matched against saved search text without querying per search', async (t) => {
+  const { alerts, exists, done } = stubMatching(t, [
+    savedSearch('plain'),
+    savedSearch('word', { search: 'bike' }),
+    savedSearch('accent', { search: 'CAFE' }),
+    savedSearch('other', { search: 'sofa' }),
+    savedSearch('phrase', { search: '"racing bikes" helmet' }),
+    savedSearch('missing-phrase', { search: '"mountain bike" red' }),
+    savedSearch('excluded', { search: 'bike -racing' }),
+    savedSearch('stop-words', { search: 'the and' })
+  ]);
+
+  await jobs.processSavedSearchMatches();
+
+  assert.deepEqual(alertedSearchIds(alerts), ['plain', 'word', 'accent', 'phrase']);
+  assert.equal(exists.mock.callCount(), 0);
+  assert.deepEqual(done.mock.calls[0].arguments, [{ id: 'item-1' }, { $unset: { savedSearchMatchPending: 1 } }]);
+});
+
+test('saved searches are filtered by category, condition, owner and blocks', async (t) => {
+  const { find } = stubMatching(t, []);
+
+  await jobs.processSavedSearchMatches();
+
+  const [filter] = find.mock.calls[0].arguments;
+  assert.deepEqual(filter.userId, { $nin: ['alice'] });
+  assert.deepEqual(filter.alertMode, { $ne: 'OFF' });
+  assert.deepEqual(filter.$and, [
+    { $or: [{ categories: { $size: 0 } }, { categories: 'Sports' }] },
+    { $or: [{ conditions: { $size: 0 } }, { conditions: 'Good' }] }
+  ]);
+  assert.equal(filter.near, null);
+});
+
+test('daily searches collect the match and each user gets one instant push', async (t) => {
+  const { alerts, updates } = stubMatching(t, [
+    savedSearch('daily', { alertMode: 'DAILY' }),
+    savedSearch('first', { userId: 'bob' }),
+    savedSearch('second', { userId: 'bob', search: 'bike' })
+  ]);
+
+  await jobs.processSavedSearchMatches();
+
+  assert.deepEqual(alertedSearchIds(alerts), ['first']);
+  const [digest] = updates.mock.calls[0].arguments.slice(1);
+  assert.deepEqual(updates.mock.calls[0].arguments[0], { id: 'daily' });
+  assert.deepEqual(digest.$push.pendingItemIds.$each, ['item-1']);
+});
+
+test('a listing that is no longer available is only marked as checked', async (t) => {
+  const { alerts, find, done } = stubMatching(t, [savedSearch('plain')], { isAvailable: false });
+
+  await jobs.processSavedSearchMatches();
+
+  assert.equal(find.mock.callCount(), 0);
+  assert.equal(alerts.mock.callCount(), 0);
+  assert.equal(done.mock.callCount(), 1);
+});
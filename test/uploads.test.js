@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Stored files go to a scratch directory instead of ./uploads
+const uploadDir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'swoptrader-uploads-'));
+process.env.IMAGE_UPLOAD_DIR = uploadDir;
+
+const { startServer, stopServer, request, stub } = require('./helpers');
+
+before(startServer);
+after(async () => {
+  await stopServer();
+  await fs.rm(uploadDir, { recursive: true, force: true });
+});
+
+const alice = { token: 'user:alice' };
+
+// Alice exists and is not suspended
+const stubAlice = (t) => stub(t, 'User', 'exists', (filter) => (filter.id === 'alice' && !filter.suspendedAt ? { _id: 'alice' } : null));
+
+const upload = (field, buffer, type, filename = 'photo') => {
+  const body = new FormData();
+  body.append(field, new Blob([buffer], { type }), filename);
+  return request('POST', '/api/v1/users/alice/profile-image', { ...alice, body });
+};
+
+test('files that are not declared as images are rejected with 415', async (t) => {
+  stubAlice(t);
+  const response = await upload('image', Buffer.from('hello'), 'text/plain');
+  assert.equal(response.status, 415);
+  assert.equal(response.body.details[0].message, 'text/plain is not a supported image type');
+});
+
+test('files declared as images are checked from their contents', async (t) => {
+  stubAlice(t);
+  const gif = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#000' } }).gif().toBuffer();
+
+  const text = await upload('image', Buffer.from('not really a png'), 'image/png');
+  const disguised = await upload('image', gif, 'image/png');
+  assert.equal(text.status, 422);
+  assert.equal(disguised.status, 415);
+});
+
+test('a request without a file is rejected', async (t) => {
+  stubAlice(t);
+  const response = await request('POST', '/api/v1/users/alice/profile-image', { ...alice, body: new FormData() });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'No image uploaded');
+});
+
+test('uploads are turned upright and stored without EXIF metadata', async (t) => {
+  stubAlice(t);
+  const create = stub(t, 'Image', 'create', (fields) => fields);
+  stub(t, 'User', 'findOneAndUpdate', { id: 'alice' });
+  stub(t, 'Image', 'find', []);
+  // 40x20 pixels, tagged as rotated 90 degrees
+  const photo = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#c00' } })
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+  assert.ok((await sharp(photo).metadata()).exif);
+
+  const response = await upload('image', photo, 'image/jpeg');
+  assert.equal(response.status, 201);
+
+  const stored = create.mock.calls[0].arguments[0];
+  assert.equal(stored.contentType, 'image/jpeg');
+  assert.deepEqual([stored.width, stored.height], [20, 40]);
+  for (const key of [stored.key, stored.thumbnailKey]) {
+    const metadata = await sharp(await fs.readFile(path.join(uploadDir, key))).metadata();
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.orientation, undefined);
+  }
+});
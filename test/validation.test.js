@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request, stub, stubNoRestrictions } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+const alice = { token: 'user:alice' };
+
+test('malformed JSON is rejected with 400', async (t) => {
+  stubNoRestrictions(t);
+  const response = await request('PUT', '/api/v1/users/alice', {
+    ...alice,
+    body: '{"name":',
+    headers: { 'Content-Type': 'application/json' }
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.success, false);
+});
+
+test('server-managed and unknown fields are rejected with 400', async (t) => {
+  stubNoRestrictions(t);
+  const update = stub(t, 'User', 'findOneAndUpdate', null);
+
+  const response = await request('PUT', '/api/v1/users/alice', { ...alice, body: { name: 'Alice', tradeScore: 9000, isAdmin: true } });
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.details.map((detail) => detail.field).sort(), ['isAdmin', 'tradeScore']);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('wrong types and out-of-range values are rejected with 422', async (t) => {
+  stubNoRestrictions(t);
+
+  const response = await request('PUT', '/api/v1/users/alice', {
+    ...alice,
+    body: { email: 'not-an-email', location: { latitude: 120, longitude: 'east' } }
+  });
+  assert.equal(response.status, 422);
+  assert.deepEqual(response.body.details.map((detail) => detail.field).sort(), ['email', 'location.latitude', 'location.longitude']);
+});
+
+test('required fields are enforced on create but not on partial updates', async (t) => {
+  stubNoRestrictions(t);
+  const update = stub(t, 'Item', 'findOneAndUpdate', { id: 'item-1', name: 'Bike' });
+  stub(t, 'Item', 'findOne', { id: 'item-1', ownerId: 'alice', uploadedImages: [] });
+
+  const created = await request('POST', '/api/v1/items', { ...alice, body: { id: 'item-1', name: 'Bike' } });
+  assert.equal(created.status, 422);
+
+  const updated = await request('PUT', '/api/v1/items/item-1', { ...alice, body: { name: '  Bike  ' } });
+  assert.equal(updated.status, 200);
+  assert.equal(update.mock.calls[0].arguments[1].name, 'Bike');
+});
+
+test('an update with no writable fields is rejected', async (t) => {
+  stubNoRestrictions(t);
+  const response = await request('PUT', '/api/v1/users/alice', { ...alice, body: {} });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Request body has no fields to update');
+});
+
+test('offer status cannot be written directly', async (t) => {
+  stubNoRestrictions(t);
+  const response = await request('PUT', '/api/v1/offers/offer-1', { ...alice, body: { status: 'ACCEPTED' } });
+  assert.equal(response.status, 400);
+  assert.match(response.body.details[0].message, /accept, reject, counter, cancel or expire/);
+});
+
+const fieldsOf = (response) => response.body.details.map((detail) => detail.field).sort();
+
+test('item locations are checked before they reach the geo index', async (t) => {
+  stubNoRestrictions(t);
+  const item = { id: 'item-1', name: 'Bike', description: 'Red bike', category: 'Sports', condition: 'Good' };
+
+  for (const location of [
+    { type: 'Point', coordinates: [200, 10] },
+    { type: 'Polygon', coordinates: [[0, 0], [1, 1]] },
+    { latitude: '51.5', longitude: -0.12 }
+  ]) {
+    const response = await request('POST', '/api/v1/items', { ...alice, body: { ...item, location } });
+    assert.equal(response.status, 422);
+    assert.deepEqual(fieldsOf(response), ['location']);
+  }
+});
+
+test('meetup bodies go through the same validation', async (t) => {
+  stubNoRestrictions(t);
+  const findOffer = stub(t, 'Offer', 'findOne', null);
+
+  const past = await request('POST', '/api/v1/offers/offer-1/meetup', {
+    ...alice,
+    body: { scheduledAt: Date.now() - 1000, location: { name: 'Cafe', latitude: 200, longitude: 0 } }
+  });
+  assert.equal(past.status, 422);
+  assert.deepEqual(fieldsOf(past), ['location.latitude', 'scheduledAt']);
+
+  const unknown = await request('POST', '/api/v1/offers/offer-1/meetup/reschedule', { ...alice, body: { status: 'COMPLETED' } });
+  assert.equal(unknown.status, 400);
+
+  const reason = await request('POST', '/api/v1/offers/offer-1/meetup/cancel', { ...alice, body: { reason: 42 } });
+  assert.equal(reason.status, 422);
+  assert.equal(findOffer.mock.callCount(), 0);
+});
+
+test('notification settings bodies are validated', async (t) => {
+  stubNoRestrictions(t);
+  const update = stub(t, 'User', 'findOneAndUpdate', null);
+
+  const unknownType = await request('PUT', '/api/v1/users/alice/notification-preferences', { ...alice, body: { types: { marketing: true } } });
+  assert.equal(unknownType.status, 400);
+  assert.deepEqual(fieldsOf(unknownType), ['types.marketing']);
+
+  const badQuietHours = await request('PUT', '/api/v1/users/alice/notification-preferences', {
+    ...alice,
+    body: { quietHours: { start: '25:00', timeZone: 'Mars/Olympus' } }
+  });
+  assert.equal(badQuietHours.status, 422);
+  assert.deepEqual(fieldsOf(badQuietHours), ['quietHours.start', 'quietHours.timeZone']);
+
+  const mute = await request('PUT', '/api/v1/users/alice/notification-preferences/chats/chat-1', { ...alice, body: { muted: 'yes' } });
+  assert.equal(mute.status, 422);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('device and offer notification bodies are validated', async (t) => {
+  stubNoRestrictions(t);
+
+  const register = await request('POST', '/api/v1/notifications/token', { ...alice, body: { token: 'fcm', platform: 'palm' } });
+  assert.equal(register.status, 422);
+  assert.deepEqual(fieldsOf(register), ['platform']);
+
+  const unregister = await request('DELETE', '/api/v1/notifications/token', { ...alice, body: {} });
+  assert.equal(unregister.status, 422);
+
+  const offerPush = await request('POST', '/api/v1/notifications/offers', { ...alice, body: { offerId: { $ne: null } } });
+  assert.equal(offerPush.status, 422);
+  assert.deepEqual(fieldsOf(offerPush), ['offerId', 'recipientUserId', 'senderUserId']);
+});
+
+test('safe meetup spots are validated', async (t) => {
+  stubNoRestrictions(t);
+  stub(t, 'AuditLog', 'create', {});
+  const create = stub(t, 'SafeMeetupSpot', 'create', {});
+
+  const response = await request('POST', '/api/v1/admin/meetup-spots', {
+    token: 'admin:root',
+    body: { name: 'Station', category: 'BUNKER', location: { latitude: 51.5 } }
+  });
+  assert.equal(response.status, 422);
+  assert.deepEqual(fieldsOf(response), ['category', 'location']);
+  assert.equal(create.mock.callCount(), 0);
+});